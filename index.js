@@ -1,19 +1,104 @@
 "use strict";
 
 const express = require("express");
+const axios = require("axios");
+const sanitizeFilename = require("sanitize-filename");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
 const crypto = require("crypto");
-const { spawn } = require("child_process");
-const { pipeline } = require("stream");
+const { pipeline, Readable } = require("stream");
+const {
+  parseProgressLine,
+  createJobManager,
+  toPublicJob,
+} = require("./lib/jobs");
+const { createWebhookDispatcher, toPublicDelivery } = require("./lib/webhooks");
+const {
+  createCacheStore,
+  createRedisClient,
+  runExclusive,
+} = require("./lib/cache-store");
+const { SOURCE_EXTS, parseTrack, toSrt, toVtt } = require("./lib/subtitles");
+const { createMediaStore } = require("./lib/media-store");
+const { createWorkQueue, createSharedAbort } = require("./lib/work-queue");
+const { createProcessSupervisor } = require("./lib/supervisor");
+const {
+  parseRange,
+  fileValidators,
+  isNotModified,
+  ifRangeMatches,
+} = require("./lib/http-range");
+const {
+  signProxyTarget,
+  verifyProxyTarget,
+  cookieHeaderFor,
+  isManifest,
+  rewriteManifest,
+} = require("./lib/hls");
+const {
+  minDimension,
+  hasAudio,
+  isVideo,
+  buildAudioFormats,
+  buildAvailableFormats,
+  mergeSelector,
+  parseFormatFilters,
+  filterFormats,
+} = require("./lib/formats");
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE,
+  createRegistry,
+} = require("./lib/metrics");
+const {
+  loadApiKeys,
+  createAuthMiddleware,
+  requireAdmin,
+  createRateLimiter,
+  createDownloadQuota,
+} = require("./lib/auth");
+const {
+  ApiError,
+  classifyYtDlpOutput,
+  ytDlpError,
+  processError,
+  ffmpegError,
+  httpError,
+  toApiError,
+  sendApiError,
+} = require("./lib/errors");
+const { createPlatformRegistry } = require("./lib/platforms");
+const { createUrlGuard } = require("./lib/url-guard");
+const {
+  createCookiePool,
+  validateCookieJar,
+  toPublicJar,
+} = require("./lib/cookies");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+app.use(express.json({ limit: "64kb" }));
+
+// Set while draining for shutdown (see SHUTDOWN): keep-alive clients are
+// asked to reconnect, which takes them to another replica
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (shuttingDown) res.setHeader("Connection", "close");
+  next();
+});
+
 // ---------------------------
 // CONFIG
 // ---------------------------
+// "a.com, b.com" -> ["a.com", "b.com"]
+function envList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
 const CONFIG = {
   ytDlpPath: process.env.YTDLP_PATH || "/usr/local/bin/yt-dlp",
   ffmpegPath: process.env.FFMPEG_PATH || "/usr/bin/ffmpeg",
@@ -22,101 +107,612 @@ const CONFIG = {
   cacheTTLms: 15 * 60_000, // 15 min
   cacheCleanupIntervalMs: 2 * 60_000,
 
+  // Generated files and finished downloads (see lib/media-store), kept
+  // across restarts and evicted least recently used first. Files over a
+  // quarter of the budget are served but not kept.
+  mediaCache: {
+    dir: process.env.MEDIA_CACHE_DIR || path.resolve(__dirname, "media-cache"),
+    maxBytes: Number(process.env.MEDIA_CACHE_MAX_BYTES || 5 * 1024 ** 3),
+  },
+
+  // Metadata cache backend: "memory" (per process) or "redis" (shared by all
+  // replicas, required when running more than one instance)
+  cache: {
+    backend:
+      process.env.CACHE_BACKEND || (process.env.REDIS_URL ? "redis" : "memory"),
+    redisUrl: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 2000),
+  },
+
+  // Named presets for /api/video/preview; query parameters override their
+  // fields. start is seconds or "smart" (the middle of the video, past
+  // intros and black frames). default is what /api/video/info links to.
   preview: {
-    seconds: 4, // fastest: fixed first segment
-    width: 360, // small for fast encode
+    profiles: {
+      default: {
+        start: 0,
+        seconds: 4,
+        width: 360,
+        audio: false,
+        format: "mp4",
+      },
+      smart: {
+        start: "smart",
+        seconds: 4,
+        width: 360,
+        audio: false,
+        format: "mp4",
+      },
+      sound: {
+        start: "smart",
+        seconds: 8,
+        width: 360,
+        audio: true,
+        format: "mp4",
+      },
+      webm: { start: 0, seconds: 4, width: 360, audio: false, format: "webm" },
+      animated: {
+        start: "smart",
+        seconds: 3,
+        width: 320,
+        audio: false,
+        format: "webp",
+      },
+    },
+    // limits on what a client may ask for
+    allowedWidths: [240, 320, 360, 480, 640, 720],
+    maxSeconds: Number(process.env.PREVIEW_MAX_SECONDS || 10), // mp4 / webm
+    maxAnimatedSeconds: 5, // webp / gif
+    maxAnimatedWidth: 480,
+    animatedFps: 10,
     crf: 28,
     preset: "veryfast",
+    directTimeoutMs: 30_000, // ffmpeg on the direct URL, before falling back
+    timeoutMs: 2 * 60_000, // the yt-dlp pipe
+  },
+
+  audio: {
+    defaultCodec: "mp3",
+    defaultBitrate: 192, // kbps
+    allowedBitrates: [64, 96, 128, 160, 192, 256, 320],
+    coverTimeoutMs: 10_000,
+    timeoutMs: 15 * 60_000,
+  },
+
+  // POST /api/video/batch: URLs per request, and how many of them one batch
+  // extracts at a time (all of them still share the yt-dlp semaphore)
+  batch: {
+    maxUrls: Number(process.env.BATCH_MAX_URLS || 20),
+    concurrency: 4,
+  },
+
+  playlist: {
+    extractTimeoutMs: 90_000,
+    maxEntries: 500, // --playlist-end; huge channels are truncated
+    defaultPageSize: 20,
+    maxPageSize: 100,
+  },
+
+  subtitles: {
+    fetchTimeoutMs: 15_000,
+    // burn-in re-encodes the whole video
+    burnPreset: "veryfast",
+    burnCrf: 23,
+  },
+
+  // Download re-encodes (vcodec=h264, or codecs the requested container
+  // cannot hold)
+  transcode: {
+    x264Preset: "veryfast",
+    x264Crf: 23,
+    vp9Crf: 32,
+    audioBitrate: "160k",
+  },
+
+  thumbnail: {
+    defaultWidth: 480,
+    allowedWidths: [120, 240, 320, 480, 640, 960, 1280],
+    fetchTimeoutMs: 10_000,
+    maxSourceBytes: 10 * 1024 * 1024,
+    timeoutMs: 30_000,
+  },
+
+  storyboard: {
+    minIntervalSeconds: 2, // short videos: one frame every 2s
+    maxFrames: 100,
+    columns: 10,
+    frameWidth: 160,
+    frameTimeoutMs: 20_000, // per grabbed frame, and for the final tile
+    sourceTimeoutMs: 5 * 60_000, // yt-dlp fallback when there is no direct URL
+  },
+
+  clip: {
+    timeoutMs: 5 * 60_000,
+    maxSeconds: 10 * 60, // mp4 / webm
+    maxAnimatedSeconds: 30, // gif / webp
+    maxWidth: 1920,
+    animatedWidth: 480, // default + max for gif / webp
+    animatedFps: 12,
+  },
+
+  // API keys: API_KEYS_FILE (JSON, per-key limits) and/or API_KEYS (comma
+  // separated, default limits). Auth is required as soon as a key exists.
+  auth: {
+    keysFile:
+      process.env.API_KEYS_FILE || path.resolve(__dirname, "api-keys.json"),
+    keysEnv: process.env.API_KEYS || "",
+    required: process.env.AUTH_REQUIRED, // "true"/"false" overrides the default
+    defaults: {
+      rpm: Number(process.env.RATE_LIMIT_RPM || 120),
+      previewRpm: Number(process.env.RATE_LIMIT_PREVIEW_RPM || 30),
+      downloadRpm: Number(process.env.RATE_LIMIT_DOWNLOAD_RPM || 10),
+      dailyDownloadBytes: Number(
+        process.env.QUOTA_DAILY_DOWNLOAD_BYTES || 10 * 1024 ** 3
+      ),
+    },
+  },
+  // Platform definitions (see lib/platforms); GENERIC_EXTRACTOR=true serves
+  // any other site through yt-dlp's generic extractor
+  platformsFile:
+    process.env.PLATFORMS_FILE || path.resolve(__dirname, "platforms.json"),
+  genericExtractor: process.env.GENERIC_EXTRACTOR
+    ? process.env.GENERIC_EXTRACTOR === "true"
+    : null,
+
+  // Which URLs yt-dlp may be pointed at (see lib/url-guard). Host lists are
+  // comma separated and match subdomains; the deny list wins.
+  urlPolicy: {
+    allowHosts: envList(process.env.URL_ALLOW_HOSTS),
+    denyHosts: envList(process.env.URL_DENY_HOSTS),
+    allowPrivate: process.env.ALLOW_PRIVATE_URLS === "true",
+  },
+
+  // Checked against the metadata before media work starts (0 = no limit)
+  limits: {
+    maxDurationSeconds: Number(process.env.MAX_DURATION_SECONDS ?? 4 * 3600),
+    maxFilesizeBytes: Number(process.env.MAX_FILESIZE_BYTES ?? 4 * 1024 ** 3),
+  },
+
+  // Live streams: recording jobs stop after at most this long
+  live: {
+    maxRecordSeconds: Number(process.env.LIVE_MAX_RECORD_SECONDS || 3600),
+    // on top of recordSeconds, for yt-dlp to connect and ffmpeg to finish
+    recordSlackMs: 2 * 60_000,
+  },
+
+  // Streamed downloads and download jobs may run long on big files; the
+  // deadline only ends runs that hang
+  download: {
+    timeoutMs: Number(process.env.DOWNLOAD_TIMEOUT_MS || 2 * 3600_000),
+  },
+
+  // HLS proxy (lib/hls). Rewritten URIs are signed with the secret; set it
+  // when several replicas serve the same clients, else each start picks one.
+  hls: {
+    secret:
+      process.env.HLS_PROXY_SECRET || crypto.randomBytes(32).toString("hex"),
+    tokenTtlMs: Number(process.env.HLS_TOKEN_TTL_MS || 6 * 3600_000),
+    timeoutMs: 15_000,
+    maxManifestBytes: 5 * 1024 ** 2,
+    maxRedirects: 5,
+  },
+
+  // Cookie jar pool managed through /api/admin/cookies (mount a volume
+  // here so uploads survive redeploys)
+  cookies: {
+    dir: process.env.COOKIES_DIR || path.resolve(__dirname, "cookies"),
+    quarantineAfter: Number(process.env.COOKIE_QUARANTINE_AFTER || 3),
+  },
+
+  // Optional bearer token for /metrics (open when unset)
+  metricsToken: process.env.METRICS_TOKEN || "",
+
+  // Express "trust proxy" (hop count) so req.ip is the client behind the LB
+  trustProxy: Number(process.env.TRUST_PROXY || 0),
+
+  jobs: {
+    ttlMs: 60 * 60_000, // finished job files are kept for 1h
+  },
+
+  // SIGTERM / SIGINT: stop accepting connections, give in-flight requests
+  // drainMs to finish, then stop the children that are left (SIGKILL after
+  // killGraceMs). Keep the sum under the orchestrator's grace period
+  // (Docker: 10s).
+  shutdown: {
+    drainMs: Number(process.env.SHUTDOWN_DRAIN_MS || 6_000),
+    killGraceMs: 2_000,
+  },
+
+  // Signed callbacks (see lib/webhooks). A key's "webhookSecret" in the keys
+  // file wins over WEBHOOK_SECRET; without either, callbackUrl is refused.
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET || "",
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+    baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 5_000), // doubles per retry
+    timeoutMs: 10_000,
+    logSize: 1000, // deliveries kept for /api/webhooks/deliveries
   },
 
   // Basic concurrency protection so your box doesn't melt
   maxConcurrentYtDlp: Number(process.env.MAX_YTDLP || 6),
   maxConcurrentFfmpeg: Number(process.env.MAX_FFMPEG || 4),
+
+  // Work queues (lib/work-queue): slots that downloads and jobs may hold at
+  // most, so interactive requests always find one. Per-platform caps are the
+  // platforms' "concurrency" field.
+  queue: {
+    bulkYtDlp: Number(
+      process.env.QUEUE_BULK_YTDLP ||
+        Math.max(1, Number(process.env.MAX_YTDLP || 6) - 2)
+    ),
+    bulkFfmpeg: Number(
+      process.env.QUEUE_BULK_FFMPEG ||
+        Math.max(1, Number(process.env.MAX_FFMPEG || 4) - 1)
+    ),
+  },
 };
 
+app.set("trust proxy", CONFIG.trustProxy);
+
 // ---------------------------
-// SIMPLE SEMAPHORE (CONCURRENCY LIMIT)
+// METRICS (Prometheus, served on /metrics)
 // ---------------------------
-function createSemaphore(max) {
-  let current = 0;
-  const queue = [];
-  return {
-    async acquire() {
-      if (current < max) {
-        current++;
-        return;
-      }
-      await new Promise((resolve) => queue.push(resolve));
-      current++;
-    },
-    release() {
-      current--;
-      const next = queue.shift();
-      if (next) next();
-    },
-    getCurrent() {
-      return current;
-    },
-    getQueued() {
-      return queue.length;
-    },
-  };
+const metrics = createRegistry();
+
+const mExtractDuration = metrics.histogram({
+  name: "imvid_extraction_duration_seconds",
+  help: "yt-dlp metadata extraction latency",
+  labelNames: ["platform", "kind", "outcome"],
+  buckets: [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 55, 90],
+});
+const mPreviewDuration = metrics.histogram({
+  name: "imvid_preview_duration_seconds",
+  help: "Preview generation latency by source (direct URL or yt-dlp pipe)",
+  labelNames: ["platform", "source", "outcome"],
+  buckets: [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 55],
+});
+const mYtDlpFailures = metrics.counter({
+  name: "imvid_ytdlp_failures_total",
+  help: "yt-dlp failures by pipeline and error class",
+  labelNames: ["platform", "kind", "error_class"],
+});
+const mFfmpegFailures = metrics.counter({
+  name: "imvid_ffmpeg_failures_total",
+  help: "ffmpeg failures by pipeline and error class",
+  labelNames: ["platform", "kind", "error_class"],
+});
+// hit = served without new work (cached or joined an in-flight request)
+const mCacheRequests = metrics.counter({
+  name: "imvid_cache_requests_total",
+  help: "Cache lookups by cache and result",
+  labelNames: ["cache", "result"],
+});
+const mDownloadBytes = metrics.counter({
+  name: "imvid_download_bytes_total",
+  help: "Bytes streamed by /api/video/download",
+  labelNames: ["platform"],
+});
+const mHlsProxyBytes = metrics.counter({
+  name: "imvid_hls_proxy_bytes_total",
+  help: "Segment bytes relayed by the HLS proxy",
+  labelNames: ["platform"],
+});
+const mPolicyRejections = metrics.counter({
+  name: "imvid_policy_rejections_total",
+  help: "Requests refused by the URL policy or media limits",
+  labelNames: ["reason"],
+});
+const mWebhookDeliveries = metrics.counter({
+  name: "imvid_webhook_deliveries_total",
+  help: "Webhook delivery attempts by final or intermediate outcome",
+  labelNames: ["event", "outcome"],
+});
+const mSemaphoreWait = metrics.histogram({
+  name: "imvid_semaphore_wait_seconds",
+  help: "Time spent waiting for a concurrency slot",
+  labelNames: ["semaphore"],
+  buckets: [0.001, 0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+// Taxonomy code (lib/errors) when we have one, else a coarse class from the
+// error message
+function failureClass(err) {
+  if (err instanceof ApiError) return err.code.toLowerCase();
+  const msg = String(err?.message || err);
+  if (/timed out/i.test(msg)) return "timeout";
+  if (err?.code === "ENOENT" || /^(yt-dlp|ffmpeg) error:/.test(msg))
+    return "spawn";
+  if (/empty stdout|produced no/i.test(msg)) return "empty_output";
+  if (/parse/i.test(msg)) return "parse";
+  if (/failed \(code/.test(msg)) return "exit";
+  return "unknown";
 }
 
-const semYtDlp = createSemaphore(CONFIG.maxConcurrentYtDlp);
-const semFfmpeg = createSemaphore(CONFIG.maxConcurrentFfmpeg);
+// Counts a pipeline failure against the tool that failed
+function recordFailure(err, { platform = "unknown", kind }) {
+  const counter =
+    err?.tool === "ffmpeg" || /^ffmpeg/.test(String(err?.message))
+      ? mFfmpegFailures
+      : mYtDlpFailures;
+  counter.inc({ platform, kind, error_class: failureClass(err) });
+}
 
 // ---------------------------
 // PLATFORM DETECTION + ARGS
 // ---------------------------
-const PLATFORMS = {
-  youtube: {
-    detect: (url) => /youtube\.com|youtu\.be|music\.youtube\.com/i.test(url),
-    cookiesFile: "youtube-cookies.txt",
-    extraArgs: ["--no-playlist", "--no-warnings"],
-    // You can keep this if you must, but it can add overhead.
-    // extraArgs: ["--no-playlist","--no-warnings","--extractor-args","youtube:player_client=android,web"],
-  },
-  instagram: {
-    detect: (url) => /instagram\.com|instagr\.am/i.test(url),
-    cookiesFile: "instagram-cookies.txt",
-    extraArgs: [
-      "--no-warnings",
-      "--no-check-certificate",
-      "--user-agent",
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    ],
-  },
-  tiktok: {
-    detect: (url) => /tiktok\.com/i.test(url),
-    cookiesFile: "tiktok-cookies.txt",
-    extraArgs: ["--no-warnings"],
-  },
-  facebook: {
-    detect: (url) => /facebook\.com|fb\.watch/i.test(url),
-    cookiesFile: "facebook-cookies.txt",
-    extraArgs: ["--no-warnings", "--no-check-certificate"],
-  },
-};
+// Built-ins live in lib/platforms.js; PLATFORMS_FILE adds, overrides or
+// disables entries without a code change.
+const platformRegistry = createPlatformRegistry({
+  file: CONFIG.platformsFile,
+  genericEnabled: CONFIG.genericExtractor,
+});
+
+// Enabled named platforms (the generic extractor has no cookies or admin API)
+const PLATFORMS = Object.fromEntries(
+  platformRegistry.list().map((p) => [p.name, p])
+);
 
 function detectPlatform(url) {
-  for (const [name, cfg] of Object.entries(PLATFORMS)) {
-    if (cfg.detect(url)) return name;
+  return platformRegistry.detect(url);
+}
+
+// ---------------------------
+// WORK QUEUES (CONCURRENCY, PRIORITIES, CANCELLATION)
+// ---------------------------
+// Every yt-dlp and ffmpeg run holds a slot (see lib/work-queue). Waiting work
+// starts interactive first, then preview warm-ups, then downloads and jobs.
+const ytDlpQueue = createWorkQueue({
+  name: "ytdlp",
+  concurrency: CONFIG.maxConcurrentYtDlp,
+  bulkConcurrency: CONFIG.queue.bulkYtDlp,
+  platformConcurrency: Object.fromEntries(
+    [...platformRegistry.list(), platformRegistry.generic]
+      .filter((p) => p.concurrency)
+      .map((p) => [p.name, p.concurrency])
+  ),
+  onWait: (seconds) => mSemaphoreWait.observe({ semaphore: "ytdlp" }, seconds),
+});
+const ffmpegQueue = createWorkQueue({
+  name: "ffmpeg",
+  concurrency: CONFIG.maxConcurrentFfmpeg,
+  bulkConcurrency: CONFIG.queue.bulkFfmpeg,
+  onWait: (seconds) => mSemaphoreWait.observe({ semaphore: "ffmpeg" }, seconds),
+});
+const WORK_QUEUES = [ytDlpQueue, ffmpegQueue];
+
+// ---------------------------
+// CHILD PROCESSES
+// ---------------------------
+// Every yt-dlp and ffmpeg child runs under the supervisor (lib/supervisor)
+// with the deadline of its kind of work; shutdown stops what is left.
+const supervisor = createProcessSupervisor({
+  killGraceMs: CONFIG.shutdown.killGraceMs,
+});
+const PROCESS_KINDS = [
+  "extract",
+  "playlist",
+  "preview",
+  "audio",
+  "clip",
+  "thumbnail",
+  "storyboard",
+  "download",
+  "job",
+  "record",
+];
+
+// Aborted once the client goes away before its response is complete, so work
+// it is still waiting for leaves the queues
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    controller.abort(
+      new ApiError("CANCELLED", { details: "client disconnected" })
+    );
+  });
+  return controller.signal;
+}
+
+// A request that joins deduplicated work lends it its own priority
+function promoteWork(key, priority) {
+  for (const queue of WORK_QUEUES) queue.promote(key, priority);
+}
+
+// ---------------------------
+// URL POLICY + MEDIA LIMITS
+// ---------------------------
+const urlGuard = createUrlGuard(CONFIG.urlPolicy);
+
+async function checkUrl(url, opts) {
+  try {
+    await urlGuard.check(url, opts);
+  } catch (err) {
+    mPolicyRejections.inc({ reason: String(err.code).toLowerCase() });
+    throw err;
   }
-  return null;
+}
+
+// yt-dlp hands the format URLs it found to ffmpeg, and a page can point
+// them anywhere. Only the address check applies: CDN hosts are never on
+// the allow list, and one that does not resolve here fails on its own.
+async function checkMediaUrls(raw) {
+  const origins = new Set();
+  const formats = Array.isArray(raw.formats) ? raw.formats : [];
+  for (const f of [raw, ...formats]) {
+    for (const u of [f.url, f.manifest_url]) {
+      if (typeof u !== "string" || !/^https?:\/\//i.test(u)) continue;
+      try {
+        origins.add(new URL(u).origin);
+      } catch {}
+    }
+  }
+  await Promise.all(
+    [...origins].map((o) =>
+      checkUrl(o, { lists: false }).catch((err) => {
+        if (err.code !== "HOST_UNRESOLVABLE") throw err;
+      })
+    )
+  );
+}
+
+// GET of a URL taken from extractor output (cover art, thumbnails, caption
+// tracks). Redirects are followed by hand so every hop passes checkUrl; axios
+// would follow them anywhere, the LAN and metadata addresses included.
+// axios failures come back as ApiErrors (see httpError).
+const MAX_FETCH_REDIRECTS = 5;
+
+async function fetchChecked(url, config = {}) {
+  let target = url;
+  for (let hop = 0; hop <= MAX_FETCH_REDIRECTS; hop++) {
+    await checkUrl(target, { lists: false });
+    let resp;
+    try {
+      resp = await axios.get(target, {
+        ...config,
+        maxRedirects: 0,
+        validateStatus: (status) => status < 400,
+      });
+    } catch (err) {
+      throw httpError(err);
+    }
+
+    if (resp.status < 300) return resp;
+    if (!resp.headers.location) break;
+    target = new URL(resp.headers.location, target).toString();
+  }
+
+  throw new ApiError("UPSTREAM_ERROR", {
+    details: `Fetch of ${url}: too many or broken redirects`,
+  });
+}
+
+// 5400 -> "1h 30min", 3 * 1024 ** 3 -> "3 GB"
+function durationLabel(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (h) return m ? `${h}h ${m}min` : `${h}h`;
+  return m ? `${m}min` : `${seconds}s`;
+}
+
+function sizeLabel(bytes) {
+  const gb = bytes / 1024 ** 3;
+  if (gb >= 1) return `${Number(gb.toFixed(1))} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  return `${bytes} bytes`;
+}
+
+function limitError(code, message, details) {
+  mPolicyRejections.inc({ reason: code.toLowerCase() });
+  return new ApiError(code, { message, details });
+}
+
+function liveStreamError() {
+  return limitError(
+    "LIVE_STREAM",
+    "This is a live stream. Play it through /api/video/hls or record part of it with a job.",
+    "live stream"
+  );
+}
+
+// Runs before preview / audio / download / job work. Entries seeded from a
+// playlist were never extracted on their own, so the URL is checked again.
+// Unknown durations and sizes pass; --max-filesize still stops the transfer.
+// live: the work is bounded on its own (previews, recordings, HLS), so live
+// streams may pass; anything else would never finish.
+async function assertMediaAllowed(entry, { filesize = 0, live = false } = {}) {
+  await checkUrl(entry.originalUrl);
+  if (entry.data.isLive && !live) throw liveStreamError();
+
+  const { maxDurationSeconds, maxFilesizeBytes } = CONFIG.limits;
+  const duration = Number(entry.data.duration || 0);
+  if (maxDurationSeconds && duration > maxDurationSeconds) {
+    throw limitError(
+      "MEDIA_TOO_LONG",
+      `This video is longer than this server allows (max ${durationLabel(
+        maxDurationSeconds
+      )}).`,
+      `${duration}s > ${maxDurationSeconds}s`
+    );
+  }
+  if (maxFilesizeBytes && filesize > maxFilesizeBytes) {
+    throw limitError(
+      "MEDIA_TOO_LARGE",
+      `This file is larger than this server allows (max ${sizeLabel(
+        maxFilesizeBytes
+      )}).`,
+      `${filesize} > ${maxFilesizeBytes} bytes`
+    );
+  }
+}
+
+// Expected bytes of a download: the chosen format, plus the audio track it
+// is merged with when it is video-only
+function estimateDownloadSize(entry, formatId) {
+  const { data } = entry;
+  if (!formatId) return Number(data.filesize || 0);
+
+  const f = data.availableFormats?.find(
+    (x) => String(x.formatId) === String(formatId)
+  );
+  if (!f) return 0;
+  return Number(f.mergedFilesize ?? f.filesize ?? 0);
+}
+
+function maxFilesizeArgs() {
+  const max = CONFIG.limits.maxFilesizeBytes;
+  return max ? ["--max-filesize", String(max)] : [];
+}
+
+// Uploaded jars (see /api/admin/cookies) rotate round-robin; the platform's
+// cookiesFile in the repo root is only used while the pool has none active.
+const cookiePool = createCookiePool({
+  dir: CONFIG.cookies.dir,
+  platforms: PLATFORMS,
+  quarantineAfter: CONFIG.cookies.quarantineAfter,
+});
+cookiePool.load();
+
+function fallbackCookiePath(cfg) {
+  return cfg.cookiesFile ? path.resolve(__dirname, cfg.cookiesFile) : null;
 }
 
 function getPlatformArgs(platform) {
-  const cfg = PLATFORMS[platform];
+  const cfg = platformRegistry.get(platform);
   if (!cfg) return [];
 
   const args = [...cfg.extraArgs];
-  const cookiePath = path.resolve(__dirname, cfg.cookiesFile);
-  if (fs.existsSync(cookiePath)) args.push("--cookies", cookiePath);
+  const jar = cookiePool.pick(platform);
+  const cookiePath = jar ? jar.path : fallbackCookiePath(cfg);
+  if (cookiePath && fs.existsSync(cookiePath))
+    args.push("--cookies", cookiePath);
 
   return args;
 }
 
+// Every yt-dlp run goes through here so the cookie pool learns how each jar
+// fared, whichever pipeline used it. run: { kind, timeoutMs, onTimeout },
+// see lib/supervisor.
+function spawnYtDlp(args, options, run) {
+  const proc = supervisor.spawn(CONFIG.ytDlpPath, args, options, run);
+
+  const i = args.indexOf("--cookies");
+  if (i !== -1 && proc.stderr) {
+    let stderr = "";
+    proc.stderr.on("data", (d) => {
+      stderr = (stderr + d.toString("utf8")).slice(-8000);
+    });
+    proc.on("close", (code) =>
+      cookiePool.reportOutcome(args[i + 1], { code, stderr })
+    );
+  }
+  return proc;
+}
+
+function spawnFfmpeg(args, options, run) {
+  return supervisor.spawn(CONFIG.ffmpegPath, args, options, run);
+}
+
 function validateUrl(url) {
   try {
     const u = new URL(url);
@@ -129,71 +725,129 @@ function validateUrl(url) {
 // ---------------------------
 // CACHES
 // ---------------------------
+// Metadata lives in a cache store (memory LRU or Redis, see lib/cache-store):
 // metadata cache: key=url and key=videoId -> { data, timestamp, platform, originalUrl, raw }
-// preview cache: videoId -> { path, timestamp }
-// in-flight: url -> Promise (dedupe /extract work)
-// in-flight preview: videoId -> Promise
-const metaCache = new Map();
-const previewCache = new Map();
+// playlist cache: url -> { data, timestamp }
+// subtitle cache: `${videoId}:${lang}:${auto|manual}` -> { lang, automatic, cues }
+//
+// Media files live in the on-disk media store, keyed "<kind>:<key>":
+// preview:<videoId>:<start>:<seconds>:<width>:<audio>:<format>, audio:<videoId>:<formatId>:<codec>:<bitrate>,
+// clip:<clip options>, thumbnail:<videoId>:<width>:<format>,
+// storyboard:<videoId>, download:<videoId>:<format>[:subs=..],
+// job:<videoId>:<format>
+// in-flight: url -> Promise (dedupe /extract work; runExclusive dedupes across replicas)
+// in-flight preview: preview key -> Promise
+// in-flight playlist: url -> Promise
+// in-flight audio / clip / thumbnail / storyboard: media key -> Promise
+const redis =
+  CONFIG.cache.backend === "redis"
+    ? createRedisClient(CONFIG.cache.redisUrl)
+    : null;
+const metaCache = instrumentStore(
+  "meta",
+  createCacheStore({
+    redis,
+    namespace: "meta",
+    ttlMs: CONFIG.cacheTTLms,
+    maxEntries: CONFIG.cache.maxEntries,
+  })
+);
+const playlistCache = createCacheStore({
+  redis,
+  namespace: "playlist",
+  ttlMs: CONFIG.cacheTTLms,
+  maxEntries: Math.ceil(CONFIG.cache.maxEntries / 10),
+});
+const subtitleCache = createCacheStore({
+  redis,
+  namespace: "subs",
+  ttlMs: CONFIG.cacheTTLms,
+  maxEntries: CONFIG.cache.maxEntries,
+});
+// per-client daily download byte counters (see lib/auth)
+const quotaStore = createCacheStore({
+  redis,
+  namespace: "quota",
+  ttlMs: CONFIG.cacheTTLms,
+  maxEntries: CONFIG.cache.maxEntries,
+});
+const mediaStore = createMediaStore(CONFIG.mediaCache);
+const MEDIA_KINDS = [
+  "preview",
+  "audio",
+  "clip",
+  "thumbnail",
+  "storyboard",
+  "download",
+  "job",
+];
 const inflightExtract = new Map();
 const inflightPreview = new Map();
+const inflightPlaylist = new Map();
+const inflightAudio = new Map();
+const inflightClip = new Map();
+const inflightThumbnail = new Map();
+const inflightStoryboard = new Map();
+
+// Counts get() hits/misses on a cache store
+function instrumentStore(name, store) {
+  return {
+    ...store,
+    async get(key) {
+      const value = await store.get(key);
+      mCacheRequests.inc({ cache: name, result: value ? "hit" : "miss" });
+      return value;
+    },
+  };
+}
 
 // ---------------------------
 // RUN yt-dlp (capture stdout/stderr)
 // ---------------------------
-function runYtDlpJson(args, timeoutMs) {
-  return new Promise(async (resolve, reject) => {
-    await semYtDlp.acquire();
-
-    const proc = spawn(CONFIG.ytDlpPath, args, {
-      stdio: ["ignore", "pipe", "pipe"],
-    });
+// run: { kind, timeoutMs } for the supervisor. The caller holds the ytdlp
+// slot; the promise settles in "close", once the child is gone.
+function runYtDlpJson(args, { kind, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const proc = spawnYtDlp(
+      args,
+      { stdio: ["ignore", "pipe", "pipe"] },
+      { kind, timeoutMs, onTimeout: () => (timedOut = true) }
+    );
 
     let stdout = "";
     let stderr = "";
 
-    const t = setTimeout(() => {
-      proc.kill("SIGKILL");
-      semYtDlp.release();
-      reject(new Error(`yt-dlp timed out after ${timeoutMs}ms`));
-    }, timeoutMs);
-
     proc.stdout.on("data", (d) => (stdout += d.toString("utf8")));
     proc.stderr.on("data", (d) => (stderr += d.toString("utf8")));
 
-    proc.on("error", (err) => {
-      clearTimeout(t);
-      semYtDlp.release();
-      reject(err);
-    });
+    // "close" follows both a spawn error and a timeout kill
+    let spawnError = null;
+    proc.on("error", (err) => (spawnError = processError("yt-dlp", err)));
 
     proc.on("close", (code) => {
-      clearTimeout(t);
-      semYtDlp.release();
-
-      if (code !== 0) {
-        // include stderr for real debugging signal
+      if (spawnError) return reject(spawnError);
+      if (timedOut) {
         return reject(
-          new Error(`yt-dlp failed (code ${code}): ${stderr.slice(-4000)}`)
+          processError("yt-dlp", null, { timedOut: true, timeoutMs })
         );
       }
-      if (!stdout.trim()) {
-        return reject(
-          new Error(
-            `yt-dlp returned empty stdout. stderr: ${stderr.slice(-2000)}`
-          )
-        );
+
+      // stderr is classified into an error code and kept for the logs only
+      if (code !== 0 || !stdout.trim()) {
+        return reject(ytDlpError(stderr, { exitCode: code }));
       }
 
       try {
         resolve({ json: JSON.parse(stdout), stderr });
       } catch (e) {
         reject(
-          new Error(
-            `Failed to parse yt-dlp JSON: ${e.message}. stderr: ${stderr.slice(
-              -2000
-            )}`
-          )
+          new ApiError("UPSTREAM_ERROR", {
+            tool: "yt-dlp",
+            details: `Failed to parse yt-dlp JSON: ${
+              e.message
+            }. stderr: ${stderr.slice(-2000)}`,
+          })
         );
       }
     });
@@ -201,77 +855,82 @@ function runYtDlpJson(args, timeoutMs) {
 }
 
 // ---------------------------
-// FORMAT SELECTION + MAPPING
+// RUN A CHILD TO COMPLETION (file-producing yt-dlp / ffmpeg steps)
 // ---------------------------
+// Resolves on exit code 0, rejects with a classified ApiError otherwise. The
+// caller owns any semaphore. run: { kind, timeoutMs }, see lib/supervisor.
+function runProcess(bin, args, { kind, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const tool = bin === CONFIG.ffmpegPath ? "ffmpeg" : "yt-dlp";
+    const options = { stdio: ["ignore", "ignore", "pipe"] };
+    let timedOut = false;
+    const run = { kind, timeoutMs, onTimeout: () => (timedOut = true) };
+    const proc =
+      tool === "yt-dlp"
+        ? spawnYtDlp(args, options, run)
+        : spawnFfmpeg(args, options, run);
 
-function minDimension(format) {
-  const w = Number(format.width || 0);
-  const h = Number(format.height || 0);
-  if (!w || !h) return 0;
-  return Math.min(w, h);
-}
-
-function hasAudio(format) {
-  return format.acodec && format.acodec !== "none";
-}
-
-function isVideo(format) {
-  return format.vcodec && format.vcodec !== "none";
-}
+    let stderr = "";
 
-function buildAvailableFormats(raw) {
-  const formats = Array.isArray(raw.formats) ? raw.formats : [];
-  if (!formats.length) return [];
+    proc.stderr.on("data", (d) => {
+      stderr = (stderr + d.toString("utf8")).slice(-8000);
+    });
 
-  // Keep only video formats with some dimension
-  const videoFormats = formats.filter(
-    (f) => isVideo(f) && (f.height || f.width)
-  );
+    proc.on("error", (err) => reject(processError(tool, err)));
 
-  // Group by "quality bucket" based on shorter dimension
-  const byQ = new Map();
-
-  for (const f of videoFormats) {
-    const qDim = minDimension(f);
-    if (!qDim) continue;
-
-    const key = `${qDim}p`;
-    const candidate = {
-      formatId: String(f.format_id),
-      ext: f.ext || "mp4",
-      quality: `${qDim}p`,
-      hasAudio: !!hasAudio(f),
-      filesize: f.filesize ?? f.filesize_approx ?? null,
-      // label: ready-made UI string
-      label: `${f.ext || "?"} ${qDim}p ${hasAudio(f) ? "A+V" : "Video-only"}`,
-      // keep extra internal info:
-      _tbr: f.tbr ?? f.vbr ?? 0,
-      _qDim: qDim,
-    };
+    proc.on("close", (code) => {
+      if (timedOut)
+        return reject(processError(tool, null, { timedOut, timeoutMs }));
+      if (code !== 0) {
+        return reject(
+          tool === "ffmpeg"
+            ? ffmpegError(stderr, { exitCode: code })
+            : ytDlpError(stderr, { exitCode: code })
+        );
+      }
+      resolve();
+    });
+  });
+}
 
-    if (!byQ.has(key)) {
-      byQ.set(key, candidate);
-      continue;
-    }
+// ---------------------------
+// FORMAT SELECTION + MAPPING
+// ---------------------------
+// The video / audio format catalogue is built in lib/formats.
 
-    const existing = byQ.get(key);
+// Caption languages from yt-dlp's "subtitles" (uploaded) and
+// "automatic_captions" (machine generated) maps
+function buildSubtitleTracks(raw, videoId) {
+  const sources = [
+    [raw.subtitles, false],
+    [raw.automatic_captions, true],
+  ];
+  const tracks = [];
 
-    // Prefer formats with audio; if same, prefer higher bitrate
-    if (candidate.hasAudio && !existing.hasAudio) {
-      byQ.set(key, candidate);
-    } else if (candidate.hasAudio === existing.hasAudio) {
-      if ((candidate._tbr || 0) > (existing._tbr || 0)) byQ.set(key, candidate);
+  for (const [source, automatic] of sources) {
+    if (!source || typeof source !== "object") continue;
+    for (const [lang, formats] of Object.entries(source)) {
+      // YouTube lists live chat replay as a "subtitle"
+      if (lang === "live_chat" || !Array.isArray(formats) || !formats.length)
+        continue;
+      tracks.push({
+        lang,
+        name: formats.find((f) => f.name)?.name || lang,
+        automatic,
+        formats: [...new Set(formats.map((f) => f.ext).filter(Boolean))],
+        url:
+          `/api/video/subtitles?vid=${encodeURIComponent(videoId)}` +
+          `&lang=${encodeURIComponent(lang)}${automatic ? "&auto=1" : ""}`,
+      });
     }
   }
 
-  return Array.from(byQ.values())
-    .sort((a, b) => (b._qDim || 0) - (a._qDim || 0))
-    .map(({ _tbr, _qDim, ...out }) => out);
+  return tracks;
 }
 
 // Choose a direct URL for preview (fastest path for preview generation)
 // Prefer mp4 + avc1-ish + <=480p-ish, but fall back gracefully.
-function pickPreviewDirectUrl(raw) {
+function pickPreviewDirectFormat(raw) {
   const formats = Array.isArray(raw.formats) ? raw.formats : [];
   if (!formats.length) return null;
 
@@ -307,7 +966,11 @@ function pickPreviewDirectUrl(raw) {
 
   scored.sort((a, b) => b.score - a.score);
 
-  return scored[0].f.url;
+  return scored[0].f;
+}
+
+function pickPreviewDirectUrl(raw) {
+  return pickPreviewDirectFormat(raw)?.url || null;
 }
 
 // Choose a "default" format for your VideoInfo top-level fields
@@ -333,135 +996,386 @@ function pickResolutionFromRaw(raw) {
 }
 
 // ---------------------------
-// EXTRACT ONCE: yt-dlp -J
+// VIDEO INFO (yt-dlp JSON -> VideoInfo)
 // ---------------------------
-async function extractOnce(url) {
-  const platform = detectPlatform(url);
-  if (!platform) throw new Error("Unsupported platform");
+function buildVideoInfo(raw, url, platform) {
+  const audioFormats = buildAudioFormats(raw);
+  const availableFormats = buildAvailableFormats(raw, audioFormats);
+  const defaultFmt = pickDefaultFormat(availableFormats);
+
+  const videoId = raw.id || crypto.createHash("sha1").update(url).digest("hex");
+  const resolution = pickResolutionFromRaw(raw);
+
+  // Your VideoInfo shape (backend response)
+  return {
+    title: raw.title || "Unknown Title",
+    author: raw.uploader || raw.channel || "Unknown Author",
+    thumbnail: raw.thumbnail || "",
+    duration: Number(raw.duration || 0),
+    platform,
+    videoId,
+    originalUrl: url,
+    filesize: Number(
+      raw.filesize || raw.filesize_approx || defaultFmt?.filesize || 0
+    ),
+    resolution,
+    format: defaultFmt?.ext || raw.ext || "mp4",
+    previewUrl: `/api/video/preview?vid=${encodeURIComponent(videoId)}`,
+    downloadUrl: `/api/video/download?vid=${encodeURIComponent(videoId)}`,
+    audioUrl: `/api/video/audio?vid=${encodeURIComponent(videoId)}`,
+    thumbnailUrl: `/api/video/thumbnail?vid=${encodeURIComponent(videoId)}`,
+    storyboardUrl: `/api/video/storyboard?vid=${encodeURIComponent(videoId)}`,
+    hlsUrl: pickHlsSource(raw)
+      ? `/api/video/hls?vid=${encodeURIComponent(videoId)}`
+      : null,
+    // yt-dlp's live_status: is_live, is_upcoming, was_live, post_live,
+    // not_live
+    isLive: raw.is_live === true || raw.live_status === "is_live",
+    liveStatus: raw.live_status || (raw.is_live ? "is_live" : "not_live"),
+    previewType: "video/mp4",
+    previewDuration: CONFIG.preview.profiles.default.seconds,
+    availableFormats,
+    audioFormats,
+    subtitles: buildSubtitleTracks(raw, videoId),
+    // internal-only helpers:
+    _raw: raw,
+    _previewDirectUrl: pickPreviewDirectUrl(raw),
+  };
+}
 
-  const cached = metaCache.get(url);
-  if (cached && Date.now() - cached.timestamp < CONFIG.cacheTTLms) {
-    return cached.data;
+// Strips the internal helper fields before a VideoInfo leaves the server;
+// filters (see parseFormatFilters) narrow availableFormats
+function toPublicVideoInfo(data, filters = null) {
+  const { _raw, _previewDirectUrl, ...publicData } = data;
+  publicData.availableFormats = filterFormats(data.availableFormats, filters);
+  return publicData;
+}
+
+// Playlist items without their own URL (e.g. Instagram carousel slides) are
+// re-selected from the parent URL by index.
+function playlistItemArgs(entry) {
+  if (entry.playlistIndex) {
+    return ["--yes-playlist", "--playlist-items", String(entry.playlistIndex)];
   }
+  return ["--no-playlist"];
+}
+
+// ---------------------------
+// EXTRACT ONCE: yt-dlp -J
+// ---------------------------
+// signal: the caller's request; yt-dlp is skipped once every request waiting
+// for this url is gone
+async function extractOnce(url, { signal = null } = {}) {
+  const platform = detectPlatform(url);
+  if (!platform) throw new ApiError("UNSUPPORTED_URL");
+  await checkUrl(url);
 
   // Dedupe concurrent same-url requests
-  if (inflightExtract.has(url)) return inflightExtract.get(url);
+  const running = inflightExtract.get(url);
+  if (running) {
+    running.shared.join(signal);
+    return running.promise;
+  }
 
+  const shared = createSharedAbort();
+  shared.join(signal);
   const p = (async () => {
-    const args = [
-      url,
-      "-J",
-      "--skip-download",
-      "--no-playlist",
-      ...getPlatformArgs(platform),
-    ];
+    const lookup = async () => {
+      const cached = await metaCache.get(url);
+      if (cached && Date.now() - cached.timestamp < CONFIG.cacheTTLms) {
+        return cached.data;
+      }
+      return null;
+    };
 
-    const { json: raw } = await runYtDlpJson(args, CONFIG.extractTimeoutMs);
+    const hit = await lookup();
+    if (hit) return hit;
 
-    const availableFormats = buildAvailableFormats(raw);
-    const defaultFmt = pickDefaultFormat(availableFormats);
+    // Another replica may already be running yt-dlp for this url. The lock is
+    // taken once we hold a slot: its TTL covers the yt-dlp run, and waiting
+    // in the queue could outlast it.
+    const release = await ytDlpQueue.acquire({
+      platform,
+      signal: shared.signal,
+      label: `extract ${url}`,
+    });
+    try {
+      return await runExclusive(metaCache, `extract:${url}`, {
+        lockTtlMs: CONFIG.extractTimeoutMs + 5_000,
+        lookup,
+        compute: async () => {
+          const args = [
+            url,
+            "-J",
+            "--skip-download",
+            "--no-playlist",
+            ...getPlatformArgs(platform),
+          ];
 
-    const videoId =
-      raw.id || crypto.createHash("sha1").update(url).digest("hex");
-    const resolution = pickResolutionFromRaw(raw);
+          const stopTimer = mExtractDuration.startTimer({
+            platform,
+            kind: "video",
+          });
+          let raw;
+          try {
+            ({ json: raw } = await runYtDlpJson(args, {
+              kind: "extract",
+              timeoutMs: CONFIG.extractTimeoutMs,
+            }));
+            stopTimer({ outcome: "success" });
+          } catch (err) {
+            stopTimer({ outcome: "error" });
+            recordFailure(err, { platform, kind: "extract" });
+            throw err;
+          }
+          await checkMediaUrls(raw);
 
-    // Your VideoInfo shape (backend response)
-    const data = {
-      title: raw.title || "Unknown Title",
-      author: raw.uploader || raw.channel || "Unknown Author",
-      thumbnail: raw.thumbnail || "",
-      duration: Number(raw.duration || 0),
-      platform,
-      videoId,
-      originalUrl: url,
-      filesize: Number(
-        raw.filesize || raw.filesize_approx || defaultFmt?.filesize || 0
-      ),
-      resolution,
-      format: defaultFmt?.ext || raw.ext || "mp4",
-      previewUrl: `/api/video/preview?vid=${encodeURIComponent(videoId)}`,
-      downloadUrl: `/api/video/download?vid=${encodeURIComponent(videoId)}`,
-      previewType: "video/mp4",
-      previewDuration: CONFIG.preview.seconds,
-      availableFormats,
-      // internal-only helpers:
-      _raw: raw,
-      _previewDirectUrl: pickPreviewDirectUrl(raw),
-    };
+          const data = buildVideoInfo(raw, url, platform);
+          const { videoId } = data;
 
-    // Cache by url and by id
-    const entry = { data, timestamp: Date.now(), platform, originalUrl: url };
-    metaCache.set(url, entry);
-    metaCache.set(videoId, entry);
+          // Cache by url and by id
+          const entry = {
+            data,
+            timestamp: Date.now(),
+            platform,
+            originalUrl: url,
+          };
+          await metaCache.set(url, entry);
+          await metaCache.set(videoId, entry);
 
-    return data;
+          return data;
+        },
+      });
+    } finally {
+      release();
+    }
   })().finally(() => {
     inflightExtract.delete(url);
   });
 
-  inflightExtract.set(url, p);
+  inflightExtract.set(url, { promise: p, shared });
   return p;
 }
 
 // ---------------------------
-// PREVIEW GENERATION (ffmpeg direct URL)
+// PLAYLIST EXTRACTION: yt-dlp -J --flat-playlist
 // ---------------------------
-async function generatePreviewMp4(originalUrl, platform, videoId) {
-  await semYtDlp.acquire();
-  await semFfmpeg.acquire();
 
-  const outPath = path.join(
-    os.tmpdir(),
-    `preview_${videoId}_${Date.now()}.mp4`
-  );
+// Nested playlists (e.g. a channel's tabs) are flattened into one list
+function flattenPlaylistEntries(raw) {
+  if (raw._type !== "playlist" || !Array.isArray(raw.entries)) return [raw];
+  return raw.entries
+    .filter(Boolean)
+    .flatMap((e) =>
+      e._type === "playlist" && Array.isArray(e.entries)
+        ? flattenPlaylistEntries(e)
+        : [e]
+    );
+}
 
-  return new Promise((resolve, reject) => {
-    const platformArgs = getPlatformArgs(platform);
+// Builds the VideoInfo for one playlist item and seeds it into metaCache so
+// its videoId works with /preview, /download, /audio and /api/jobs right away.
+// Flat items carry no formats; /api/video/info?url= resolves them fully.
+async function seedPlaylistEntry(e, index, playlistUrl, platform) {
+  // Flat entries ("_type: url") point at their page; full entries at media
+  const pageUrl = e._type === "url" ? e.url : e.webpage_url;
+  const hasOwnUrl =
+    typeof pageUrl === "string" &&
+    validateUrl(pageUrl) &&
+    pageUrl !== playlistUrl;
 
-    const previewFormat =
-      "worstvideo[ext=mp4][vcodec^=avc1][height<=480]+worstaudio[ext=m4a]/" +
-      "worst[ext=mp4][height<=480]/worst";
+  const originalUrl = hasOwnUrl ? pageUrl : playlistUrl;
+  const entryPlatform = (hasOwnUrl && detectPlatform(pageUrl)) || platform;
+  const isFlat = !Array.isArray(e.formats);
 
-    const ytdlpArgs = [
+  const thumbs = Array.isArray(e.thumbnails) ? e.thumbnails : [];
+  const raw = {
+    ...e,
+    id:
+      e.id ||
+      crypto.createHash("sha1").update(`${originalUrl}#${index}`).digest("hex"),
+    thumbnail: e.thumbnail || thumbs[thumbs.length - 1]?.url || "",
+  };
+  const data = {
+    ...buildVideoInfo(raw, originalUrl, entryPlatform),
+    _flat: isFlat,
+  };
+
+  // Never replace a fresh fully-extracted entry with a flat one
+  const existing = await metaCache.get(data.videoId);
+  const existingFresh =
+    existing && Date.now() - existing.timestamp < CONFIG.cacheTTLms;
+  if (!existingFresh || (existing.data._flat && !isFlat)) {
+    await metaCache.set(data.videoId, {
+      data,
+      timestamp: Date.now(),
+      platform: entryPlatform,
       originalUrl,
-      "-o",
-      "-",
-      "-f",
-      previewFormat,
-      "--no-playlist",
-      "--no-warnings",
-      ...platformArgs,
-    ];
+      playlistIndex: hasOwnUrl ? null : index,
+    });
+  }
 
-    const ffArgs = [
-      "-y",
-      "-t",
-      String(CONFIG.preview.seconds),
-      "-i",
-      "pipe:0",
-      "-vf",
-      `scale=${CONFIG.preview.width}:-2:force_original_aspect_ratio=decrease,` +
-        `scale=trunc(iw/2)*2:trunc(ih/2)*2`,
-      "-an",
-      "-c:v",
-      "libx264",
-      "-preset",
-      CONFIG.preview.preset,
-      "-crf",
-      String(CONFIG.preview.crf),
-      "-movflags",
-      "+faststart",
-      outPath,
-    ];
+  return {
+    index,
+    videoId: data.videoId,
+    title: data.title,
+    author: data.author,
+    duration: data.duration,
+    thumbnail: data.thumbnail,
+    url: hasOwnUrl ? pageUrl : null,
+    isFlat,
+    infoUrl: hasOwnUrl
+      ? `/api/video/info?url=${encodeURIComponent(pageUrl)}`
+      : null,
+    previewUrl: data.previewUrl,
+    downloadUrl: data.downloadUrl,
+    audioUrl: data.audioUrl,
+  };
+}
 
-    const ytdlp = spawn(CONFIG.ytDlpPath, ytdlpArgs, {
-      stdio: ["ignore", "pipe", "pipe"],
-    });
-    const ffmpeg = spawn(CONFIG.ffmpegPath, ffArgs, {
-      stdio: ["pipe", "ignore", "pipe"],
+async function extractPlaylistOnce(url, { signal = null } = {}) {
+  const platform = detectPlatform(url);
+  if (!platform) throw new ApiError("UNSUPPORTED_URL");
+  await checkUrl(url);
+
+  const running = inflightPlaylist.get(url);
+  if (running) {
+    running.shared.join(signal);
+    return running.promise;
+  }
+
+  const shared = createSharedAbort();
+  shared.join(signal);
+  const p = (async () => {
+    const lookup = async () => {
+      const cached = await playlistCache.get(url);
+      if (cached && Date.now() - cached.timestamp < CONFIG.cacheTTLms) {
+        return cached.data;
+      }
+      return null;
+    };
+
+    const hit = await lookup();
+    if (hit) return hit;
+
+    // Locked once we hold a slot, as in extractOnce
+    const release = await ytDlpQueue.acquire({
+      platform,
+      signal: shared.signal,
+      label: `playlist ${url}`,
     });
+    try {
+      return await runExclusive(playlistCache, `extract:${url}`, {
+        lockTtlMs: CONFIG.playlist.extractTimeoutMs + 5_000,
+        lookup,
+        compute: async () => {
+          const args = [
+            url,
+            "-J",
+            "--skip-download",
+            "--flat-playlist",
+            ...getPlatformArgs(platform),
+            // after platform args: youtube's extraArgs carry --no-playlist
+            "--yes-playlist",
+            "--playlist-end",
+            String(CONFIG.playlist.maxEntries),
+          ];
+
+          const stopTimer = mExtractDuration.startTimer({
+            platform,
+            kind: "playlist",
+          });
+          let raw;
+          try {
+            ({ json: raw } = await runYtDlpJson(args, {
+              kind: "playlist",
+              timeoutMs: CONFIG.playlist.extractTimeoutMs,
+            }));
+            stopTimer({ outcome: "success" });
+          } catch (err) {
+            stopTimer({ outcome: "error" });
+            recordFailure(err, { platform, kind: "playlist" });
+            throw err;
+          }
+
+          const rawEntries = flattenPlaylistEntries(raw).slice(
+            0,
+            CONFIG.playlist.maxEntries
+          );
+          const entries = [];
+          for (const [i, e] of rawEntries.entries()) {
+            entries.push(await seedPlaylistEntry(e, i + 1, url, platform));
+          }
+
+          const data = {
+            playlistId:
+              raw.id || crypto.createHash("sha1").update(url).digest("hex"),
+            title: raw.title || "Unknown Playlist",
+            author: raw.uploader || raw.channel || "Unknown Author",
+            platform,
+            originalUrl: url,
+            entryCount: Number(raw.playlist_count || entries.length),
+            truncated: entries.length >= CONFIG.playlist.maxEntries,
+            entries,
+          };
+
+          await playlistCache.set(url, { data, timestamp: Date.now() });
+          return data;
+        },
+      });
+    } finally {
+      release();
+    }
+  })().finally(() => {
+    inflightPlaylist.delete(url);
+  });
+
+  inflightPlaylist.set(url, { promise: p, shared });
+  return p;
+}
+
+// ---------------------------
+// yt-dlp -> ffmpeg PIPE (shared by preview + audio)
+// ---------------------------
+// Pipes yt-dlp stdout into ffmpeg stdin; ffArgs must read "pipe:0" and write
+// outPath. Resolves with outPath once ffmpeg exits cleanly. run: { kind,
+// timeoutMs }, the deadline both children share.
+async function transcodeViaYtDlp(
+  ytdlpArgs,
+  ffArgs,
+  outPath,
+  { kind, timeoutMs },
+  work = {}
+) {
+  const releaseYtDlp = await ytDlpQueue.acquire(work);
+  let releaseFfmpeg;
+  try {
+    releaseFfmpeg = await ffmpegQueue.acquire(work);
+  } catch (err) {
+    releaseYtDlp();
+    throw err;
+  }
+
+  return new Promise((resolve, reject) => {
+    let timedOut = null; // the tool that ran out of time first
+    const ytdlp = spawnYtDlp(
+      ytdlpArgs,
+      { stdio: ["ignore", "pipe", "pipe"] },
+      { kind, timeoutMs, onTimeout: () => (timedOut ??= "yt-dlp") }
+    );
+    const ffmpeg = spawnFfmpeg(
+      ffArgs,
+      { stdio: ["pipe", "ignore", "pipe"] },
+      { kind, timeoutMs, onTimeout: () => (timedOut ??= "ffmpeg") }
+    );
+    const timeoutError = () =>
+      processError(timedOut, null, { timedOut: true, timeoutMs });
+    // each slot is freed once its child is gone, not when it is signalled
+    ytdlp.once("close", releaseYtDlp);
+    ffmpeg.once("close", releaseFfmpeg);
 
-    let err = "";
+    let ytErr = "";
+    let ffErr = "";
     let cleaned = false;
 
     function cleanup() {
@@ -478,13 +1392,10 @@ async function generatePreviewMp4(originalUrl, platform, videoId) {
 
       if (!ytdlp.killed) ytdlp.kill("SIGKILL");
       if (!ffmpeg.killed) ffmpeg.kill("SIGKILL");
-
-      semYtDlp.release();
-      semFfmpeg.release();
     }
 
-    ytdlp.stderr.on("data", (d) => (err += d.toString("utf8")));
-    ffmpeg.stderr.on("data", (d) => (err += d.toString("utf8")));
+    ytdlp.stderr.on("data", (d) => (ytErr += d.toString("utf8")));
+    ffmpeg.stderr.on("data", (d) => (ffErr += d.toString("utf8")));
 
     // IMPORTANT: ignore broken pipe errors from the pipe itself
     ffmpeg.stdin.on("error", (e) => {
@@ -502,300 +1413,3453 @@ async function generatePreviewMp4(originalUrl, platform, videoId) {
 
     ytdlp.on("error", (e) => {
       cleanup();
-      reject(new Error(`yt-dlp error: ${e.message}`));
+      reject(processError("yt-dlp", e));
     });
     ffmpeg.on("error", (e) => {
       cleanup();
-      reject(new Error(`ffmpeg error: ${e.message}`));
+      reject(processError("ffmpeg", e));
     });
 
+    // ffmpeg usually fails because its input stopped: blame yt-dlp when it
+    // reported an error we recognize
     ffmpeg.on("close", (code) => {
       if (code === 0 && fs.existsSync(outPath)) {
         cleanup();
         return resolve(outPath);
       }
       cleanup();
-      reject(new Error(`ffmpeg failed (code ${code}): ${err.slice(-4000)}`));
+      if (timedOut) return reject(timeoutError());
+      reject(
+        classifyYtDlpOutput(ytErr)
+          ? ytDlpError(ytErr)
+          : ffmpegError(ffErr, { exitCode: code })
+      );
     });
 
     ytdlp.on("close", (code) => {
       if (code !== 0) {
         cleanup();
-        reject(new Error(`yt-dlp failed (code ${code}): ${err.slice(-4000)}`));
+        reject(
+          timedOut ? timeoutError() : ytDlpError(ytErr, { exitCode: code })
+        );
       }
     });
   });
 }
 
-async function getOrGeneratePreview(videoId) {
-  const cached = previewCache.get(videoId);
-  if (
-    cached &&
-    Date.now() - cached.timestamp < CONFIG.cacheTTLms &&
-    fs.existsSync(cached.path)
-  ) {
-    return cached.path;
+// ---------------------------
+// PREVIEW GENERATION
+// ---------------------------
+const PREVIEW_FORMATS = {
+  mp4: { ext: "mp4", mime: "video/mp4", animated: false },
+  webm: { ext: "webm", mime: "video/webm", animated: false },
+  webp: { ext: "webp", mime: "image/webp", animated: true },
+  gif: { ext: "gif", mime: "image/gif", animated: true },
+};
+
+// Query (profile, start, duration, width, audio, format) -> opts:
+//   { start: seconds | "smart", seconds, width, audio, format }
+// Throws INVALID_REQUEST naming the bad parameter. Starts are whole seconds
+// and widths come from a short list, so the number of distinct previews per
+// video stays small.
+function parsePreviewOptions(query) {
+  const { profiles } = CONFIG.preview;
+  const name = String(query.profile || "default");
+  if (!Object.hasOwn(profiles, name)) {
+    throw new ApiError("INVALID_REQUEST", {
+      message: "Unknown preview profile",
+      allowed: Object.keys(profiles),
+    });
   }
+  const opts = { ...profiles[name] };
 
-  if (inflightPreview.has(videoId)) return inflightPreview.get(videoId);
+  if (query.format !== undefined) opts.format = String(query.format);
+  const spec = PREVIEW_FORMATS[opts.format];
+  if (!spec) {
+    throw new ApiError("INVALID_REQUEST", {
+      message: "Unsupported format",
+      allowed: Object.keys(PREVIEW_FORMATS),
+    });
+  }
 
-  const p = (async () => {
-    const metaEntry = metaCache.get(videoId);
-    if (!metaEntry || !metaEntry.data)
-      throw new Error("Video ID not found or expired");
-
-    const { originalUrl, platform } = metaEntry;
-    const filePath = await generatePreviewMp4(originalUrl, platform, videoId);
-    previewCache.set(videoId, { path: filePath, timestamp: Date.now() });
-    return filePath;
-  })().finally(() => {
-    inflightPreview.delete(videoId);
-  });
+  if (query.start !== undefined) {
+    const start =
+      query.start === "smart" ? "smart" : parseClipTime(query.start);
+    if (start == null) {
+      throw new ApiError("INVALID_REQUEST", {
+        message: "Invalid 'start' (seconds, HH:MM:SS or 'smart')",
+      });
+    }
+    opts.start = start === "smart" ? start : Math.floor(start);
+  }
 
-  inflightPreview.set(videoId, p);
-  return p;
-}
+  const maxSeconds = spec.animated
+    ? CONFIG.preview.maxAnimatedSeconds
+    : CONFIG.preview.maxSeconds;
+  if (query.duration !== undefined) {
+    const seconds = Number(query.duration);
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new ApiError("INVALID_REQUEST", {
+        message: "Invalid 'duration' (whole seconds)",
+      });
+    }
+    opts.seconds = seconds;
+  }
+  if (opts.seconds > maxSeconds) {
+    throw new ApiError("INVALID_REQUEST", {
+      message: `Preview too long (max ${maxSeconds}s for ${opts.format})`,
+    });
+  }
 
-// ---------------------------
-// RANGE-AWARE FILE SERVE
-// ---------------------------
+  const widths = CONFIG.preview.allowedWidths.filter(
+    (w) => !spec.animated || w <= CONFIG.preview.maxAnimatedWidth
+  );
+  if (query.width !== undefined) opts.width = Number(query.width);
+  if (!widths.includes(opts.width)) {
+    throw new ApiError("INVALID_REQUEST", {
+      message: "Unsupported width",
+      allowed: widths,
+    });
+  }
 
-function serveVideoFile(filePath, req, res) {
-  const stat = fs.statSync(filePath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
+  if (query.audio !== undefined) {
+    const audio = String(query.audio);
+    if (!["0", "1", "false", "true"].includes(audio)) {
+      throw new ApiError("INVALID_REQUEST", {
+        message: "Invalid 'audio' parameter",
+      });
+    }
+    opts.audio = audio === "1" || audio === "true";
+  }
+  if (opts.audio && spec.animated) {
+    throw new ApiError("INVALID_REQUEST", {
+      message: `${opts.format} previews have no audio`,
+    });
+  }
 
-  res.setHeader("Content-Type", "video/mp4");
-  res.setHeader("Accept-Ranges", "bytes");
-  res.setHeader("Cache-Control", "public, max-age=3600");
+  return opts;
+}
 
-  let start = 0;
-  let end = fileSize - 1;
+// The URL of a preview, with the options that differ from the default
+// profile (the plain ?vid= URL is the one /api/video/info returns)
+function previewPath(videoId, opts) {
+  const base = CONFIG.preview.profiles.default;
+  const params = new URLSearchParams({ vid: videoId });
+  if (opts.start !== base.start) params.set("start", String(opts.start));
+  if (opts.seconds !== base.seconds)
+    params.set("duration", String(opts.seconds));
+  if (opts.width !== base.width) params.set("width", String(opts.width));
+  if (opts.audio !== base.audio) params.set("audio", opts.audio ? "1" : "0");
+  if (opts.format !== base.format) params.set("format", opts.format);
+  return `/api/video/preview?${params}`;
+}
 
-  if (range) {
-    const parts = range.replace(/bytes=/, "").split("-");
-    start = parseInt(parts[0], 10);
-    end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+// Seconds into the video where the preview starts: "smart" is the middle,
+// and no start leaves less than a full preview. Live streams always start
+// at the live edge.
+function resolvePreviewStart(data, { start, seconds }) {
+  const duration = Number(data.duration || 0);
+  if (data.isLive || !duration) return 0;
+  const wanted = start === "smart" ? (duration - seconds) / 2 : start;
+  return Math.max(0, Math.floor(Math.min(wanted, duration - seconds)));
+}
 
-    if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
-      res.status(416).end();
-      return;
-    }
+function buildPreviewEncodeArgs(spec, { width, audio }) {
+  const fit =
+    `scale=${width}:-2:force_original_aspect_ratio=decrease,` +
+    "scale=trunc(iw/2)*2:trunc(ih/2)*2";
+  const fps = CONFIG.preview.animatedFps;
 
-    res.status(206);
-    res.setHeader("Content-Range", `bytes ${start}-${end}/${fileSize}`);
-    res.setHeader("Content-Length", end - start + 1);
-  } else {
-    res.setHeader("Content-Length", fileSize);
+  switch (spec.ext) {
+    case "webp":
+      return [
+        "-vf",
+        `fps=${fps},${fit}`,
+        "-c:v",
+        "libwebp",
+        "-quality",
+        "60",
+        "-loop",
+        "0",
+        "-an",
+      ];
+    case "gif":
+      return [
+        "-vf",
+        `fps=${fps},${fit}:flags=lanczos,` +
+          "split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse",
+        "-loop",
+        "0",
+        "-an",
+      ];
+    case "webm":
+      return [
+        "-vf",
+        fit,
+        "-c:v",
+        "libvpx-vp9",
+        "-b:v",
+        "0",
+        "-crf",
+        "40",
+        "-deadline",
+        "realtime",
+        "-cpu-used",
+        "8",
+        ...(audio ? ["-c:a", "libopus", "-b:a", "64k"] : ["-an"]),
+      ];
+    default:
+      return [
+        "-vf",
+        fit,
+        "-c:v",
+        "libx264",
+        "-preset",
+        CONFIG.preview.preset,
+        "-crf",
+        String(CONFIG.preview.crf),
+        ...(audio ? ["-c:a", "aac", "-b:a", "96k"] : ["-an"]),
+        "-movflags",
+        "+faststart",
+      ];
   }
+}
 
-  const fileStream = fs.createReadStream(filePath, { start, end });
+// The direct URL picked at extraction (see pickPreviewDirectUrl) with the
+// headers it needs, or null when there is none or it has no audio track for
+// a preview that wants one
+function previewDirectSource(data, opts) {
+  const url = data._previewDirectUrl;
+  if (!url) return null;
+  const raw = data._raw || {};
+  const format = (raw.formats || []).find((f) => f.url === url) || {};
+  if (opts.audio && !hasAudio(format)) return null;
+  return {
+    url,
+    headers: formatRequestHeaders(raw, format.format_id, url),
+  };
+}
 
-  // If client disconnects, stop reading immediately
-  res.on("close", () => fileStream.destroy());
+// ffmpeg reads the direct URL itself and seeks with range requests: no
+// second yt-dlp run, and only an ffmpeg slot is held
+async function previewFromDirectUrl(
+  direct,
+  { spec, opts, start },
+  outPath,
+  work
+) {
+  await checkUrl(direct.url, { lists: false });
 
-  pipeline(fileStream, res, (err) => {
-    if (!err) return;
-    // Ignore common disconnect errors
-    if (err.code === "EPIPE" || err.code === "ECONNRESET") return;
-    console.error("serveVideoFile pipeline error:", err);
-  });
+  const ffArgs = [
+    "-y",
+    ...ffmpegHeaderArgs(direct.headers),
+    ...(start ? ["-ss", String(start)] : []),
+    "-t",
+    String(opts.seconds),
+    "-i",
+    direct.url,
+    ...buildPreviewEncodeArgs(spec, opts),
+    outPath,
+  ];
+
+  const release = await ffmpegQueue.acquire(work);
+  try {
+    await runProcess(CONFIG.ffmpegPath, ffArgs, {
+      kind: "preview",
+      timeoutMs: CONFIG.preview.directTimeoutMs,
+    });
+  } finally {
+    release();
+  }
+  return outPath;
 }
 
-// ---------------------------
-// CACHE CLEANUP
-// ---------------------------
-function cleanupCache() {
-  const now = Date.now();
+// opts: see parsePreviewOptions. The direct URL goes first; the yt-dlp pipe
+// is the fallback for platforms without one and for URLs that expired or
+// refuse ffmpeg. imvid_preview_duration_seconds{source} tells them apart.
+async function generatePreview(metaEntry, opts, work) {
+  const { platform, data } = metaEntry;
+  const spec = PREVIEW_FORMATS[opts.format];
+  const outPath = tmpPath(
+    `preview_${safeFileId(data.videoId)}_${Date.now()}.${spec.ext}`
+  );
+  const start = resolvePreviewStart(data, opts);
 
-  for (const [key, entry] of metaCache.entries()) {
-    if (now - entry.timestamp > CONFIG.cacheTTLms) metaCache.delete(key);
+  const direct = previewDirectSource(data, opts);
+  if (direct) {
+    const stopTimer = mPreviewDuration.startTimer({
+      platform,
+      source: "direct",
+    });
+    try {
+      await previewFromDirectUrl(direct, { spec, opts, start }, outPath, {
+        ...work,
+        platform,
+      });
+      stopTimer({ outcome: "success" });
+      return outPath;
+    } catch (err) {
+      stopTimer({ outcome: "error" });
+      fs.unlink(outPath, () => {});
+      if (err.code === "CANCELLED") throw err;
+      recordFailure(err, { platform, kind: "preview_direct" });
+      console.warn(
+        `⚠️ Direct preview failed for ${data.videoId}, falling back to yt-dlp [${err.code}]: ${err.details || err.message}`
+      );
+    }
   }
 
-  for (const [vid, entry] of previewCache.entries()) {
-    if (now - entry.timestamp > CONFIG.cacheTTLms) {
-      previewCache.delete(vid);
-      if (entry.path && fs.existsSync(entry.path)) {
-        fs.unlink(entry.path, () => {});
-      }
-    }
+  const stopTimer = mPreviewDuration.startTimer({ platform, source: "ytdlp" });
+  try {
+    await previewViaYtDlp(metaEntry, { spec, opts, start }, outPath, work);
+    stopTimer({ outcome: "success" });
+    return outPath;
+  } catch (err) {
+    stopTimer({ outcome: "error" });
+    throw err;
   }
 }
 
+// yt-dlp fetches the media and pipes it into ffmpeg
+async function previewViaYtDlp(
+  metaEntry,
+  { spec, opts, start },
+  outPath,
+  work
+) {
+  const { originalUrl, platform } = metaEntry;
+  const previewFormat =
+    platformRegistry.get(platform)?.previewFormat ||
+    "worstvideo[ext=mp4][vcodec^=avc1][height<=480]+worstaudio[ext=m4a]/" +
+      "worst[ext=mp4][height<=480]/worst";
+
+  // Past the start, yt-dlp fetches only the section instead of piping
+  // everything before it
+  const ytdlpArgs = [
+    originalUrl,
+    "-o",
+    "-",
+    "-f",
+    previewFormat,
+    ...(start
+      ? ["--download-sections", `*${start}-${start + opts.seconds}`]
+      : []),
+    ...playlistItemArgs(metaEntry),
+    "--no-warnings",
+    ...getPlatformArgs(platform),
+  ];
+
+  const ffArgs = [
+    "-y",
+    "-t",
+    String(opts.seconds),
+    "-i",
+    "pipe:0",
+    ...buildPreviewEncodeArgs(spec, opts),
+    outPath,
+  ];
+
+  return transcodeViaYtDlp(
+    ytdlpArgs,
+    ffArgs,
+    outPath,
+    { kind: "preview", timeoutMs: CONFIG.preview.timeoutMs },
+    { ...work, platform }
+  );
+}
+
+// opts: see parsePreviewOptions; work: { priority, signal } of the caller,
+// see getOrGenerateFile
+async function getOrGeneratePreview(videoId, opts, work) {
+  const key = [
+    videoId,
+    opts.start,
+    opts.seconds,
+    opts.width,
+    opts.audio ? "a" : "na",
+    opts.format,
+  ].join(":");
+
+  const files = { name: "preview", inflight: inflightPreview };
+  return getOrGenerateFile(
+    files,
+    key,
+    async (task) => {
+      const metaEntry = await metaCache.get(videoId);
+      if (!metaEntry || !metaEntry.data) throw new ApiError("VIDEO_ID_EXPIRED");
+      // ffmpeg stops after opts.seconds, live or not
+      await assertMediaAllowed(metaEntry, { live: true });
+
+      return trackFailures(
+        { platform: metaEntry.platform, kind: "preview" },
+        generatePreview(metaEntry, opts, task)
+      );
+    },
+    work
+  );
+}
+
 // ---------------------------
-// ROUTES
+// GENERATED FILE CACHE (preview, audio, clips, thumbnails, storyboards)
 // ---------------------------
-app.get("/health", async (req, res) => {
-  res.json({
-    status: "ok",
-    ytDlp: CONFIG.ytDlpPath,
-    ffmpeg: CONFIG.ffmpegPath,
-    cacheSize: metaCache.size,
-    previewCacheSize: previewCache.size,
-    inflightExtract: inflightExtract.size,
-    inflightPreview: inflightPreview.size,
-    semYtDlp: {
-      running: semYtDlp.getCurrent(),
-      queued: semYtDlp.getQueued(),
-      max: CONFIG.maxConcurrentYtDlp,
-    },
-    semFfmpeg: {
-      running: semFfmpeg.getCurrent(),
-      queued: semFfmpeg.getQueued(),
-      max: CONFIG.maxConcurrentFfmpeg,
-    },
-    uptime: process.uptime(),
+// files: { name, inflight: key -> { promise, shared } }; finished files move
+// into the media store as "<name>:<key>". generate(task) gets the queue
+// options for its yt-dlp / ffmpeg runs: the priority of the first caller
+// (raised when a more urgent one joins) and a signal that aborts once every
+// caller is gone. Callers without a signal keep the work alive.
+async function getOrGenerateFile(
+  { name, inflight },
+  key,
+  generate,
+  { priority = "interactive", signal = null } = {}
+) {
+  const storeKey = `${name}:${key}`;
+  const cached = mediaStore.get(storeKey);
+  if (cached) {
+    mCacheRequests.inc({ cache: name, result: "hit" });
+    return cached.path;
+  }
+
+  const running = inflight.get(key);
+  if (running) {
+    mCacheRequests.inc({ cache: name, result: "hit" });
+    running.shared.join(signal);
+    promoteWork(storeKey, priority);
+    return running.promise;
+  }
+  mCacheRequests.inc({ cache: name, result: "miss" });
+
+  const shared = createSharedAbort();
+  shared.join(signal);
+  const task = {
+    priority,
+    signal: shared.signal,
+    key: storeKey,
+    label: storeKey,
+  };
+
+  const p = (async () => {
+    const filePath = await generate(task);
+    // too large to keep: served from the temp file this once
+    const stored = await mediaStore.put(storeKey, filePath);
+    return stored ? stored.path : filePath;
+  })().finally(() => {
+    inflight.delete(key);
   });
-});
 
-// Your main metadata endpoint
-app.get("/api/video/info", async (req, res) => {
-  const url = req.query.url;
-  if (!url) return res.status(400).json({ error: "Missing 'url' parameter" });
-  if (!validateUrl(url))
-    return res.status(400).json({ error: "Invalid URL format" });
+  inflight.set(key, { promise: p, shared });
+  return p;
+}
 
+// Counts a failed generation attempt, then rethrows
+async function trackFailures(labels, promise) {
   try {
-    const data = await extractOnce(url);
+    return await promise;
+  } catch (err) {
+    recordFailure(err, labels);
+    throw err;
+  }
+}
+
+// Temp files this service creates (and files too large for the media
+// store). Anything untouched for two hours belongs to a crashed run or to
+// an expired job (job files are kept for one hour).
+const TMP_FILE_RE =
+  /^(?:preview|audio|cover|clip|clipsrc|thumb|thumbsrc|storyboard|sbsrc|sbframes|subs|job)_/;
+
+// yt-dlp ids come from the extractor and may hold anything ("/", "..",
+// regex metacharacters); temp file names only get the safe characters
+function safeFileId(id) {
+  return (
+    String(id)
+      .replace(/[^A-Za-z0-9_-]/g, "_")
+      .slice(0, 64) || "video"
+  );
+}
 
-    // Warm preview in background (non-blocking)
-    getOrGeneratePreview(data.videoId).catch(() => {});
+// Temp names this process created -> when: a file, a directory, or a
+// yt-dlp output prefix (its files are "<prefix>.<ext>", "<prefix>.<ext>.part"
+// ...). os.tmpdir() may be shared with other instances, so shutdown removes
+// these and nothing else.
+const ownTmpNames = new Map();
 
-    // Return only the fields your Android model expects
-    const {
-      _raw,
-      _previewDirectUrl, // strip internal fields
-      ...publicData
-    } = data;
+function trackTmpName(name) {
+  ownTmpNames.set(name, Date.now());
+}
 
-    res.json(publicData);
-  } catch (err) {
-    res.status(500).json({ error: "Extraction failed", details: err.message });
+function tmpPath(name) {
+  trackTmpName(name);
+  return path.join(os.tmpdir(), name);
+}
+
+// Safe ids and Date.now() stamps hold no ".", so a name's stem is its prefix
+function isOwnTmpFile(file) {
+  return ownTmpNames.has(file) || ownTmpNames.has(file.split(".")[0]);
+}
+
+function sweepTmpFiles(maxAgeMs = 2 * 60 * 60_000) {
+  const dir = os.tmpdir();
+  const cutoff = Date.now() - maxAgeMs;
+  const present = new Set();
+  for (const file of fs.readdirSync(dir)) {
+    if (!TMP_FILE_RE.test(file)) continue;
+    const p = path.join(dir, file);
+    try {
+      if (fs.statSync(p).mtimeMs < cutoff) {
+        fs.rmSync(p, { recursive: true, force: true });
+      } else {
+        present.add(file).add(file.split(".")[0]);
+      }
+    } catch {}
   }
-});
 
-// Preview endpoint (MP4, 4s)
-app.get("/api/video/preview", async (req, res) => {
-  const vid = req.query.vid;
-  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+  // forget old names that no longer have a file
+  for (const [name, createdAt] of ownTmpNames) {
+    if (createdAt < cutoff && !present.has(name)) ownTmpNames.delete(name);
+  }
+}
 
-  try {
-    const filePath = await getOrGeneratePreview(String(vid));
-    serveVideoFile(filePath, req, res);
-  } catch (err) {
-    res.status(500).json({ error: "Preview failed", details: err.message });
+function removeOwnTmpFiles() {
+  const dir = os.tmpdir();
+  for (const file of fs.readdirSync(dir)) {
+    if (!isOwnTmpFile(file)) continue;
+    try {
+      fs.rmSync(path.join(dir, file), { recursive: true, force: true });
+    } catch {}
   }
-});
+  ownTmpNames.clear();
+}
 
-// Download endpoint: streams yt-dlp output. Optional formatId.
-app.get("/api/video/download", async (req, res) => {
-  const vid = req.query.vid;
-  const formatId = req.query.formatId; // match your Android model naming if you want
-  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+// ---------------------------
+// AUDIO EXTRACTION (yt-dlp bestaudio -> ffmpeg transcode + tags)
+// ---------------------------
+// cover: whether the container can carry embedded cover art
+const AUDIO_CODECS = {
+  mp3: {
+    ext: "mp3",
+    mime: "audio/mpeg",
+    cover: true,
+    args: ["-c:a", "libmp3lame", "-id3v2_version", "3"],
+  },
+  m4a: {
+    ext: "m4a",
+    mime: "audio/mp4",
+    cover: true,
+    args: ["-c:a", "aac", "-movflags", "+faststart"],
+  },
+  opus: {
+    ext: "opus",
+    mime: "audio/ogg",
+    cover: false,
+    args: ["-c:a", "libopus", "-vbr", "on"],
+  },
+};
 
-  const entry = metaCache.get(String(vid));
-  if (!entry || !entry.data)
-    return res.status(404).json({ error: "Video ID not found or expired" });
+// Tags come from the yt-dlp metadata already cached with the video
+function buildAudioTags(raw) {
+  const year = /^\d{4}/.exec(String(raw.release_year || raw.upload_date || ""));
+  const tags = {
+    title: raw.track || raw.title,
+    artist: raw.artist || raw.creator || raw.uploader || raw.channel,
+    album: raw.album,
+    date: year ? year[0] : null,
+    comment: raw.webpage_url,
+  };
+  return Object.entries(tags).filter(([, v]) => v);
+}
 
-  const { originalUrl, platform } = entry;
-  const platformArgs = getPlatformArgs(platform);
-
-  // Decide format string:
-  // - If user chose a formatId:
-  //   - if that format has audio -> use it
-  //   - else -> merge with bestaudio
-  // - else: choose a sane default best mp4-ish
-  let formatString = "bv*[ext=mp4]+ba[ext=m4a]/b[ext=mp4]/bv*+ba/b";
-  if (formatId) {
-    const selected = entry.data.availableFormats?.find(
-      (f) => String(f.formatId) === String(formatId)
+// Prefer a jpg/png thumbnail: ffmpeg can embed those as-is
+function pickCoverUrl(raw) {
+  const thumbs = Array.isArray(raw.thumbnails) ? raw.thumbnails : [];
+  const jpg = thumbs
+    .filter(
+      (t) => typeof t.url === "string" && /\.(jpe?g|png)(\?|$)/i.test(t.url)
+    )
+    .sort((a, b) => (b.preference ?? 0) - (a.preference ?? 0))[0];
+  return jpg?.url || raw.thumbnail || null;
+}
+
+// Best effort: a missing cover should never fail the audio request
+async function downloadCover(url, outPath) {
+  try {
+    const resp = await fetchChecked(url, {
+      responseType: "arraybuffer",
+      timeout: CONFIG.audio.coverTimeoutMs,
+      maxContentLength: 5 * 1024 * 1024,
+    });
+    await fs.promises.writeFile(outPath, resp.data);
+    return outPath;
+  } catch (err) {
+    console.warn(
+      `⚠️ Cover art fetch failed (${url}): ${err.details || err.message}`
     );
-    if (selected?.hasAudio) formatString = String(formatId);
-    else formatString = `${String(formatId)}+bestaudio[ext=m4a]/bestaudio/best`;
+    return null;
   }
+}
 
-  // Filename (safe-ish)
-  const safeName = (entry.data.title || "video")
-    .replace(/[^a-z0-9]+/gi, "_")
-    .slice(0, 60);
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="${safeName}.mp4"`
-  );
-  res.setHeader("Content-Type", "video/mp4");
+async function generateAudio(metaEntry, { formatId, codec, bitrate }, work) {
+  const { originalUrl, platform, data } = metaEntry;
+  const raw = data._raw || {};
+  const spec = AUDIO_CODECS[codec];
+  const stamp = `${safeFileId(data.videoId)}_${Date.now()}`;
+  const outPath = tmpPath(`audio_${stamp}.${spec.ext}`);
 
-  const args = [
+  const coverUrl = spec.cover ? pickCoverUrl(raw) : null;
+  const coverPath = coverUrl
+    ? await downloadCover(coverUrl, tmpPath(`cover_${stamp}`))
+    : null;
+
+  const ytdlpArgs = [
     originalUrl,
     "-o",
     "-",
     "-f",
-    formatString,
-    "--no-playlist",
+    formatId ? `${formatId}/bestaudio/best` : "bestaudio/best",
+    ...playlistItemArgs(metaEntry),
     "--no-warnings",
-    "--no-progress",
-    ...platformArgs,
+    ...getPlatformArgs(platform),
   ];
 
-  const proc = spawn(CONFIG.ytDlpPath, args, {
-    stdio: ["ignore", "pipe", "pipe"],
-  });
+  const ffArgs = ["-y", "-i", "pipe:0"];
+  if (coverPath) ffArgs.push("-i", coverPath);
+  ffArgs.push("-map", "0:a:0");
+  if (coverPath) {
+    ffArgs.push(
+      "-map",
+      "1:v:0",
+      "-c:v",
+      "mjpeg",
+      "-disposition:v:0",
+      "attached_pic",
+      "-metadata:s:v",
+      "title=Album cover",
+      "-metadata:s:v",
+      "comment=Cover (front)"
+    );
+  } else {
+    ffArgs.push("-vn");
+  }
+  ffArgs.push(...spec.args, "-b:a", `${bitrate}k`);
+  for (const [key, value] of buildAudioTags(raw)) {
+    ffArgs.push("-metadata", `${key}=${value}`);
+  }
+  ffArgs.push(outPath);
 
-  pipeline(proc.stdout, res, (err) => {
-    if (!err) return;
-    if (err.code === "EPIPE" || err.code === "ECONNRESET") return;
-    console.error("download pipeline error:", err);
-  });
+  try {
+    return await transcodeViaYtDlp(
+      ytdlpArgs,
+      ffArgs,
+      outPath,
+      { kind: "audio", timeoutMs: CONFIG.audio.timeoutMs },
+      { ...work, platform }
+    );
+  } finally {
+    if (coverPath) fs.unlink(coverPath, () => {});
+  }
+}
 
-  proc.stderr.on("data", (d) => {
-    const msg = d.toString("utf8");
-    if (msg.includes("ERROR") || msg.includes("WARNING")) {
-      console.error("[yt-dlp]", msg.trim());
-    }
-  });
+async function getOrGenerateAudio(videoId, opts, work) {
+  const key = [videoId, opts.formatId || "best", opts.codec, opts.bitrate].join(
+    ":"
+  );
 
-  proc.on("error", (err) => {
-    if (!res.headersSent) {
-      res
-        .status(500)
-        .json({ error: "Failed to start download", details: err.message });
-    }
-  });
+  const files = { name: "audio", inflight: inflightAudio };
+  return getOrGenerateFile(
+    files,
+    key,
+    async (task) => {
+      const metaEntry = await metaCache.get(videoId);
+      if (!metaEntry || !metaEntry.data) throw new ApiError("VIDEO_ID_EXPIRED");
+      await assertMediaAllowed(metaEntry);
 
-  req.on("close", () => {
-    try {
-      proc.stdout.unpipe(res);
-    } catch {}
-    if (!proc.killed) proc.kill("SIGKILL");
-  });
-});
+      return trackFailures(
+        { platform: metaEntry.platform, kind: "audio" },
+        generateAudio(metaEntry, opts, task)
+      );
+    },
+    work
+  );
+}
 
 // ---------------------------
-// STARTUP
+// CLIP EXPORT (yt-dlp section download -> ffmpeg encode)
 // ---------------------------
-function checkBinaryExists(p) {
-  try {
-    return fs.existsSync(p);
-  } catch {
-    return false;
+const CLIP_FORMATS = {
+  mp4: { ext: "mp4", animated: false },
+  webm: { ext: "webm", animated: false },
+  gif: { ext: "gif", animated: true },
+  webp: { ext: "webp", animated: true },
+};
+
+// "90", "12.5", "01:30", "1:02:03.5" -> seconds (null if invalid)
+function parseClipTime(value) {
+  const str = String(value ?? "").trim();
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(str)) return null;
+  return str.split(":").reduce((acc, part) => acc * 60 + Number(part), 0);
+}
+
+// Only the requested section is fetched: yt-dlp seeks inside the remote
+// stream (ffmpeg under the hood) instead of downloading the whole video.
+function buildClipFormatString(entry, formatId, withAudio) {
+  if (withAudio) return buildDownloadFormatString(entry, formatId);
+  if (formatId) return String(formatId);
+  return "bv*[ext=mp4]/bv*/b";
+}
+
+function buildClipEncodeArgs(spec, { width, withAudio }) {
+  const scale = width ? `scale=${width}:-2` : null;
+
+  switch (spec.ext) {
+    case "gif":
+      return [
+        "-vf",
+        `fps=${CONFIG.clip.animatedFps},scale=${width}:-2:flags=lanczos,` +
+          "split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse",
+        "-loop",
+        "0",
+        "-an",
+      ];
+    case "webp":
+      return [
+        "-vf",
+        `fps=${CONFIG.clip.animatedFps},scale=${width}:-2`,
+        "-c:v",
+        "libwebp",
+        "-quality",
+        "70",
+        "-loop",
+        "0",
+        "-an",
+      ];
+    case "webm":
+      return [
+        ...(scale ? ["-vf", scale] : []),
+        "-c:v",
+        "libvpx-vp9",
+        "-b:v",
+        "0",
+        "-crf",
+        "33",
+        "-deadline",
+        "realtime",
+        "-cpu-used",
+        "8",
+        ...(withAudio ? ["-c:a", "libopus", "-b:a", "128k"] : ["-an"]),
+      ];
+    default:
+      return [
+        ...(scale ? ["-vf", scale] : []),
+        "-c:v",
+        "libx264",
+        "-preset",
+        "veryfast",
+        "-crf",
+        "23",
+        ...(withAudio ? ["-c:a", "aac", "-b:a", "160k"] : ["-an"]),
+        "-movflags",
+        "+faststart",
+      ];
   }
 }
 
-async function startup() {
+async function generateClip(metaEntry, opts, work) {
+  const { originalUrl, platform, data } = metaEntry;
+  const spec = CLIP_FORMATS[opts.format];
+  const stamp = `${safeFileId(data.videoId)}_${Date.now()}`;
+  const srcPrefix = `clipsrc_${stamp}`;
+  const outPath = tmpPath(`clip_${stamp}.${spec.ext}`);
+
+  const ytdlpArgs = [
+    originalUrl,
+    "-o",
+    `${tmpPath(srcPrefix)}.%(ext)s`,
+    "-f",
+    buildClipFormatString(metaEntry, opts.formatId, opts.withAudio),
+    "--download-sections",
+    `*${opts.start}-${opts.end}`,
+    "--merge-output-format",
+    "mkv",
+    ...playlistItemArgs(metaEntry),
+    "--no-warnings",
+    "--no-progress",
+    ...getPlatformArgs(platform),
+  ];
+
+  let src = null;
+  try {
+    const releaseYtDlp = await ytDlpQueue.acquire({ ...work, platform });
+    try {
+      await runProcess(CONFIG.ytDlpPath, ytdlpArgs, {
+        kind: "clip",
+        timeoutMs: CONFIG.clip.timeoutMs,
+      });
+    } finally {
+      releaseYtDlp();
+    }
+
+    src = findTmpOutput(srcPrefix);
+    if (!src) {
+      throw new ApiError("UPSTREAM_ERROR", {
+        tool: "yt-dlp",
+        details: "yt-dlp finished but produced no clip source",
+      });
+    }
+
+    const ffArgs = [
+      "-y",
+      "-i",
+      src.filePath,
+      ...buildClipEncodeArgs(spec, opts),
+      outPath,
+    ];
+
+    const releaseFfmpeg = await ffmpegQueue.acquire(work);
+    try {
+      await runProcess(CONFIG.ffmpegPath, ffArgs, {
+        kind: "clip",
+        timeoutMs: CONFIG.clip.timeoutMs,
+      });
+    } finally {
+      releaseFfmpeg();
+    }
+
+    return outPath;
+  } catch (err) {
+    fs.unlink(outPath, () => {});
+    throw err;
+  } finally {
+    if (src) fs.unlink(src.filePath, () => {});
+  }
+}
+
+async function getOrGenerateClip(videoId, opts, work) {
+  const key = [
+    videoId,
+    opts.formatId || "best",
+    opts.start,
+    opts.end,
+    opts.withAudio ? "a" : "na",
+    opts.width || "src",
+    opts.format,
+  ].join(":");
+
+  const files = { name: "clip", inflight: inflightClip };
+  return getOrGenerateFile(
+    files,
+    key,
+    async (task) => {
+      const metaEntry = await metaCache.get(videoId);
+      if (!metaEntry || !metaEntry.data) throw new ApiError("VIDEO_ID_EXPIRED");
+      // the clip window has its own length cap, so only the URL is checked
+      await checkUrl(metaEntry.originalUrl);
+      if (metaEntry.data.isLive) throw liveStreamError();
+
+      return trackFailures(
+        { platform: metaEntry.platform, kind: "clip" },
+        generateClip(metaEntry, opts, task)
+      );
+    },
+    work
+  );
+}
+
+// ---------------------------
+// THUMBNAILS (fetch -> ffmpeg resize -> jpeg / webp)
+// ---------------------------
+// Platform thumbnail URLs expire or refuse hotlinking (Instagram, Facebook),
+// so clients get a local copy instead.
+const THUMBNAIL_FORMATS = {
+  jpeg: { ext: "jpg", mime: "image/jpeg", args: ["-q:v", "3"] },
+  webp: {
+    ext: "webp",
+    mime: "image/webp",
+    args: ["-c:v", "libwebp", "-quality", "80"],
+  },
+};
+
+// yt-dlp puts its pick in "thumbnail"; the list is sorted worst to best
+function pickThumbnailUrl(raw) {
+  const thumbs = Array.isArray(raw.thumbnails) ? raw.thumbnails : [];
+  const last = thumbs.filter((t) => typeof t.url === "string").at(-1);
+  return raw.thumbnail || last?.url || null;
+}
+
+async function generateThumbnail(metaEntry, { width, format }, work) {
+  const { data } = metaEntry;
+  const raw = data._raw || {};
+  const url = pickThumbnailUrl(raw);
+  const spec = THUMBNAIL_FORMATS[format];
+  const stamp = `${safeFileId(data.videoId)}_${Date.now()}`;
+  const srcPath = tmpPath(`thumbsrc_${stamp}`);
+  const outPath = tmpPath(`thumb_${stamp}_${width}.${spec.ext}`);
+
+  const resp = await fetchChecked(url, {
+    responseType: "arraybuffer",
+    timeout: CONFIG.thumbnail.fetchTimeoutMs,
+    maxContentLength: CONFIG.thumbnail.maxSourceBytes,
+    headers: raw.http_headers || {},
+  });
+
+  try {
+    await fs.promises.writeFile(srcPath, resp.data);
+
+    // never upscale
+    const ffArgs = [
+      "-y",
+      "-i",
+      srcPath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale='min(${width},iw)':-1`,
+      ...spec.args,
+      outPath,
+    ];
+
+    const release = await ffmpegQueue.acquire(work);
+    try {
+      await runProcess(CONFIG.ffmpegPath, ffArgs, {
+        kind: "thumbnail",
+        timeoutMs: CONFIG.thumbnail.timeoutMs,
+      });
+    } finally {
+      release();
+    }
+    return outPath;
+  } catch (err) {
+    fs.unlink(outPath, () => {});
+    throw err;
+  } finally {
+    fs.unlink(srcPath, () => {});
+  }
+}
+
+async function getOrGenerateThumbnail(videoId, opts, work) {
+  const key = [videoId, opts.width, opts.format].join(":");
+
+  const files = { name: "thumbnail", inflight: inflightThumbnail };
+  return getOrGenerateFile(
+    files,
+    key,
+    async (task) => {
+      const metaEntry = await metaCache.get(videoId);
+      if (!metaEntry || !metaEntry.data) throw new ApiError("VIDEO_ID_EXPIRED");
+
+      return trackFailures(
+        { platform: metaEntry.platform, kind: "thumbnail" },
+        generateThumbnail(metaEntry, opts, task)
+      );
+    },
+    work
+  );
+}
+
+// ---------------------------
+// STORYBOARDS (frames at even intervals -> sprite sheet + WebVTT index)
+// ---------------------------
+// Frame count, spacing and grid come from the metadata alone, so the VTT
+// index always matches the sprite generated for the same video.
+function storyboardLayout(data) {
+  const { minIntervalSeconds, maxFrames, columns, frameWidth } =
+    CONFIG.storyboard;
+  const duration = Number(data.duration || 0);
+  const count = Math.max(
+    1,
+    Math.min(maxFrames, Math.floor(duration / minIntervalSeconds))
+  );
+
+  const raw = data._raw || {};
+  const aspect = raw.width && raw.height ? raw.height / raw.width : 9 / 16;
+  const cols = Math.min(columns, count);
+
+  return {
+    count,
+    interval: duration / count,
+    columns: cols,
+    rows: Math.ceil(count / cols),
+    frameWidth,
+    frameHeight: Math.round((frameWidth * aspect) / 2) * 2,
+  };
+}
+
+function storyboardVtt(videoId, layout) {
+  const sprite = `/api/video/storyboard/sprite?vid=${encodeURIComponent(
+    videoId
+  )}`;
+  const { frameWidth: w, frameHeight: h } = layout;
+  const cues = [];
+  for (let i = 0; i < layout.count; i++) {
+    const x = (i % layout.columns) * w;
+    const y = Math.floor(i / layout.columns) * h;
+    cues.push({
+      start: i * layout.interval,
+      end: (i + 1) * layout.interval,
+      text: `${sprite}#xywh=${x},${y},${w},${h}`,
+    });
+  }
+  return toVtt(cues);
+}
+
+// "Key: value\r\n" lines for ffmpeg's HTTP input
+function ffmpegHeaderArgs(headers) {
+  const lines = Object.entries(headers || {})
+    .map(([k, v]) => `${k}: ${v}\r\n`)
+    .join("");
+  return lines ? ["-headers", lines] : [];
+}
+
+// A direct format URL when the platform gives one (ffmpeg seeks with range
+// requests); otherwise the smallest video is downloaded first.
+async function storyboardSource(metaEntry, stamp, work) {
+  const { originalUrl, platform, data } = metaEntry;
+  const direct = pickPreviewDirectFormat(data._raw || {});
+  if (direct) {
+    // ffmpeg fetches it itself, so the address check comes first
+    await checkUrl(direct.url, { lists: false });
+    return {
+      input: direct.url,
+      inputArgs: ffmpegHeaderArgs(direct.http_headers),
+      cleanup: () => {},
+    };
+  }
+
+  const prefix = `sbsrc_${stamp}`;
+  const ytdlpArgs = [
+    originalUrl,
+    "-o",
+    `${tmpPath(prefix)}.%(ext)s`,
+    "-f",
+    "worstvideo/worst",
+    ...playlistItemArgs(metaEntry),
+    "--no-warnings",
+    "--no-progress",
+    ...getPlatformArgs(platform),
+  ];
+
+  const release = await ytDlpQueue.acquire({ ...work, platform });
+  try {
+    await runProcess(CONFIG.ytDlpPath, ytdlpArgs, {
+      kind: "storyboard",
+      timeoutMs: CONFIG.storyboard.sourceTimeoutMs,
+    });
+  } finally {
+    release();
+  }
+
+  const src = findTmpOutput(prefix);
+  if (!src) {
+    throw new ApiError("UPSTREAM_ERROR", {
+      tool: "yt-dlp",
+      details: "yt-dlp finished but produced no storyboard source",
+    });
+  }
+  return {
+    input: src.filePath,
+    inputArgs: [],
+    cleanup: () => fs.unlink(src.filePath, () => {}),
+  };
+}
+
+async function generateStoryboard(metaEntry, work) {
+  const { data } = metaEntry;
+  const layout = storyboardLayout(data);
+  const { frameWidth: w, frameHeight: h, count } = layout;
+  const stamp = `${safeFileId(data.videoId)}_${Date.now()}`;
+  const outPath = tmpPath(`storyboard_${stamp}.jpg`);
+  const framesDir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), `sbframes_${stamp}_`)
+  );
+  trackTmpName(path.basename(framesDir));
+  const frame = (i) =>
+    path.join(framesDir, `${String(i).padStart(3, "0")}.jpg`);
+
+  let source = null;
+  try {
+    source = await storyboardSource(metaEntry, stamp, work);
+
+    const release = await ffmpegQueue.acquire(work);
+    try {
+      let grabbed = 0;
+      let failed = 0;
+      for (let i = 0; i < count; i++) {
+        // Input-side seek + keyframes only: one short ranged read per frame
+        const ffArgs = [
+          "-y",
+          ...source.inputArgs,
+          "-skip_frame",
+          "nokey",
+          "-ss",
+          ((i + 0.5) * layout.interval).toFixed(3),
+          "-i",
+          source.input,
+          "-frames:v",
+          "1",
+          "-vf",
+          `scale=${w}:${h}:force_original_aspect_ratio=decrease,` +
+            `pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2`,
+          "-q:v",
+          "5",
+          frame(i),
+        ];
+        try {
+          await runProcess(CONFIG.ffmpegPath, ffArgs, {
+            kind: "storyboard",
+            timeoutMs: CONFIG.storyboard.frameTimeoutMs,
+          });
+        } catch (err) {
+          // A seek past the last keyframe fails on its own; timeouts or a
+          // source that never works end the run
+          if (err.code !== "PROCESSING_FAILED") throw err;
+          if (++failed >= 3 && !grabbed) throw err;
+        }
+        if (fs.existsSync(frame(i))) grabbed++;
+      }
+
+      if (!grabbed) {
+        throw new ApiError("PROCESSING_FAILED", {
+          tool: "ffmpeg",
+          details: "storyboard: no frame could be grabbed",
+        });
+      }
+
+      // Missing frames repeat a neighbour so the grid matches the layout
+      const first = [...Array(count).keys()].find((i) =>
+        fs.existsSync(frame(i))
+      );
+      for (let i = 0; i < count; i++) {
+        if (!fs.existsSync(frame(i))) {
+          await fs.promises.copyFile(frame(i > 0 ? i - 1 : first), frame(i));
+        }
+      }
+
+      const tileArgs = [
+        "-y",
+        "-framerate",
+        "1",
+        "-i",
+        path.join(framesDir, "%03d.jpg"),
+        "-vf",
+        `tile=${layout.columns}x${layout.rows}`,
+        "-frames:v",
+        "1",
+        "-q:v",
+        "4",
+        outPath,
+      ];
+      await runProcess(CONFIG.ffmpegPath, tileArgs, {
+        kind: "storyboard",
+        timeoutMs: CONFIG.storyboard.frameTimeoutMs,
+      });
+    } finally {
+      release();
+    }
+
+    return outPath;
+  } catch (err) {
+    fs.unlink(outPath, () => {});
+    throw err;
+  } finally {
+    fs.rm(framesDir, { recursive: true, force: true }, () => {});
+    if (source) source.cleanup();
+  }
+}
+
+async function getOrGenerateStoryboard(videoId, work) {
+  const files = { name: "storyboard", inflight: inflightStoryboard };
+  return getOrGenerateFile(
+    files,
+    videoId,
+    async (task) => {
+      const metaEntry = await metaCache.get(videoId);
+      if (!metaEntry || !metaEntry.data) throw new ApiError("VIDEO_ID_EXPIRED");
+      if (!Number(metaEntry.data.duration)) {
+        throw new ApiError("FORMAT_UNAVAILABLE", {
+          message: "Storyboards need a video with a known duration.",
+        });
+      }
+      await assertMediaAllowed(metaEntry);
+
+      return trackFailures(
+        { platform: metaEntry.platform, kind: "storyboard" },
+        generateStoryboard(metaEntry, task)
+      );
+    },
+    work
+  );
+}
+
+// ---------------------------
+// SUBTITLES (fetch track -> cues -> srt/vtt/json)
+// ---------------------------
+
+// automatic: true/false restricts the search, null = uploaded subs first
+function pickSubtitleTrack(raw, lang, automatic) {
+  const sources = [];
+  if (automatic !== true) sources.push([raw.subtitles, false]);
+  if (automatic !== false) sources.push([raw.automatic_captions, true]);
+
+  for (const [source, isAuto] of sources) {
+    const formats = source?.[lang];
+    if (!Array.isArray(formats)) continue;
+    for (const ext of SOURCE_EXTS) {
+      const f = formats.find((t) => t.ext === ext && t.url);
+      if (f)
+        return {
+          lang,
+          automatic: isAuto,
+          ext,
+          url: f.url,
+          headers: f.http_headers,
+        };
+    }
+  }
+  return null;
+}
+
+function parseAutoFlag(value) {
+  if (value === undefined || value === "") return null;
+  return value === "1" || value === "true";
+}
+
+// Resolves to { lang, automatic, cues } or null when there is no such track
+async function getSubtitleCues(metaEntry, lang, automatic) {
+  const raw = metaEntry.data._raw || {};
+  const track = pickSubtitleTrack(raw, lang, automatic);
+  if (!track) return null;
+
+  const key = [
+    metaEntry.data.videoId,
+    lang,
+    track.automatic ? "auto" : "manual",
+  ].join(":");
+  const cached = await subtitleCache.get(key);
+  if (cached) return cached;
+
+  const resp = await fetchChecked(track.url, {
+    responseType: "text",
+    timeout: CONFIG.subtitles.fetchTimeoutMs,
+    headers: track.headers || {},
+  });
+
+  const result = {
+    lang,
+    automatic: track.automatic,
+    cues: parseTrack(resp.data, track.ext),
+  };
+  await subtitleCache.set(key, result);
+  return result;
+}
+
+// ffmpeg filter arguments need ":" and "'" escaped
+function escapeFilterPath(p) {
+  return p.replace(/\\/g, "/").replace(/:/g, "\\:").replace(/'/g, "\\'");
+}
+
+// Re-encodes the yt-dlp stream with the subtitles rendered into the picture.
+// Output is fragmented MP4 so it can be streamed without seeking.
+// ffmpeg step of a download (see planDownload): yt-dlp output on stdin, the
+// requested container on stdout. subPath burns that caption file in.
+function buildDownloadFfmpegArgs({ container, video, audio }, subPath = null) {
+  const videoArgs = {
+    copy: [],
+    libx264: [
+      "-preset",
+      subPath ? CONFIG.subtitles.burnPreset : CONFIG.transcode.x264Preset,
+      "-crf",
+      String(subPath ? CONFIG.subtitles.burnCrf : CONFIG.transcode.x264Crf),
+      "-pix_fmt",
+      "yuv420p",
+    ],
+    "libvpx-vp9": [
+      "-deadline",
+      "realtime",
+      "-cpu-used",
+      "8",
+      "-crf",
+      String(CONFIG.transcode.vp9Crf),
+      "-b:v",
+      "0",
+    ],
+  }[video];
+
+  return [
+    "-i",
+    "pipe:0",
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    ...(subPath
+      ? ["-vf", `subtitles=filename='${escapeFilterPath(subPath)}'`]
+      : []),
+    "-c:v",
+    video,
+    ...videoArgs,
+    "-c:a",
+    audio,
+    ...(audio === "copy" ? [] : ["-b:a", CONFIG.transcode.audioBitrate]),
+    // mp4 on a pipe has to be fragmented
+    ...(container === "mp4" ? ["-movflags", "frag_keyframe+empty_moov"] : []),
+    "-f",
+    DOWNLOAD_CONTAINERS[container].muxer,
+    "pipe:1",
+  ];
+}
+
+// ---------------------------
+// RANGE-AWARE FILE SERVE
+// ---------------------------
+// GET and HEAD of a finished file: ETag / Last-Modified, If-None-Match /
+// If-Modified-Since (304), If-Range, and single or multiple byte ranges
+// (see lib/http-range.js). Rejects when the file cannot be stat'ed, before
+// anything is sent, so callers await it inside their error handling.
+async function serveVideoFile(filePath, req, res, contentType = "video/mp4") {
+  const stat = await fs.promises.stat(filePath);
+  const validators = fileValidators(stat);
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.setHeader("ETag", validators.etag);
+  res.setHeader("Last-Modified", validators.lastModified);
+
+  if (isNotModified(req.headers, validators)) {
+    res.status(304).end();
+    return;
+  }
+
+  const range = ifRangeMatches(req.headers["if-range"], validators)
+    ? parseRange(req.headers.range, stat.size)
+    : null;
+
+  if (range?.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${stat.size}`);
+    res.status(416).end();
+    return;
+  }
+
+  if (range?.ranges.length > 1) {
+    sendByteRanges(filePath, req, res, {
+      ranges: range.ranges,
+      size: stat.size,
+      contentType,
+    });
+    return;
+  }
+
+  const { start, end } = range
+    ? range.ranges[0]
+    : { start: 0, end: stat.size - 1 };
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", end - start + 1);
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+  }
+
+  if (req.method === "HEAD" || !stat.size) {
+    res.end();
+    return;
+  }
+  sendFileStream(fs.createReadStream(filePath, { start, end }), res);
+}
+
+// Several ranges: one multipart/byteranges body, each part with its own
+// Content-Type and Content-Range
+function sendByteRanges(filePath, req, res, { ranges, size, contentType }) {
+  const boundary = crypto.randomBytes(16).toString("hex");
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: Buffer.from(
+      `\r\n--${boundary}\r\n` +
+        `Content-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    ),
+  }));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  res.status(206);
+  res.setHeader("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader(
+    "Content-Length",
+    parts.reduce((n, p) => n + p.head.length + p.end - p.start + 1, tail.length)
+  );
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+
+  async function* body() {
+    for (const { start, end, head } of parts) {
+      yield head;
+      yield* fs.createReadStream(filePath, { start, end });
+    }
+    yield tail;
+  }
+  sendFileStream(Readable.from(body()), res);
+}
+
+function sendFileStream(source, res) {
+  // If client disconnects, stop reading immediately
+  res.on("close", () => source.destroy());
+
+  pipeline(source, res, (err) => {
+    if (!err) return;
+    // Ignore common disconnect errors
+    if (err.code === "EPIPE" || err.code === "ECONNRESET") return;
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+    console.error("serveVideoFile pipeline error:", err);
+  });
+}
+
+// ---------------------------
+// DOWNLOAD FORMAT + FILENAME HELPERS
+// ---------------------------
+
+// Decide format string:
+// - If user chose a formatId:
+//   - if that format has audio -> use it
+//   - else -> merge with bestaudio in the same container (see mergeSelector)
+// - else: choose a sane default best mp4-ish
+function buildDownloadFormatString(entry, formatId) {
+  if (!formatId)
+    return (
+      platformRegistry.get(entry.platform)?.format ||
+      "bv*[ext=mp4]+ba[ext=m4a]/b[ext=mp4]/bv*+ba/b"
+    );
+
+  const selected = entry.data.availableFormats?.find(
+    (f) => String(f.formatId) === String(formatId)
+  );
+  return mergeSelector(
+    selected || { formatId: String(formatId), hasAudio: false }
+  );
+}
+
+// Containers a download can be delivered in, with the codecs (as listed in
+// availableFormats) each one holds without re-encoding; null = anything
+const DOWNLOAD_CONTAINERS = {
+  mp4: {
+    muxer: "mp4",
+    video: ["h264", "h265", "av1", "vp9"],
+    audio: ["mp4a", "mp3"],
+    audioEncoder: "aac",
+    videoEncoder: "libx264",
+  },
+  webm: {
+    muxer: "webm",
+    video: ["vp8", "vp9", "av1"],
+    audio: ["opus", "vorbis"],
+    audioEncoder: "libopus",
+    videoEncoder: "libvpx-vp9",
+  },
+  mkv: { muxer: "matroska", video: null, audio: null },
+};
+const DOWNLOAD_VCODECS = ["h264"];
+
+// How a download is produced:
+// { selector, ext, mergeFormat, ffmpeg: null | { container, video, audio } }
+// Without container / vcodec / burn-in, yt-dlp's output goes out as is and
+// ext is the container the catalogue predicts for it. Otherwise the source
+// format is known from the catalogue, and ffmpeg remuxes (codec "copy") or
+// re-encodes only what the target cannot hold.
+function planDownload(
+  entry,
+  formatId,
+  { container = null, vcodec = null, burn = false } = {}
+) {
+  const formats = entry.data.availableFormats || [];
+  let source = formatId
+    ? formats.find((f) => String(f.formatId) === String(formatId))
+    : null;
+
+  if (!container && !vcodec && !burn) {
+    const ext =
+      source?.container ||
+      (formatId || !formats.length || formats.some((f) => f.ext === "mp4")
+        ? "mp4"
+        : formats[0].container);
+    return {
+      selector: buildDownloadFormatString(entry, formatId),
+      ext,
+      mergeFormat: null,
+      ffmpeg: null,
+    };
+  }
+
+  const target = container || "mp4";
+  const spec = DOWNLOAD_CONTAINERS[target];
+  // No formatId: the best format that needs no re-encode, if there is one
+  if (!formatId) {
+    source =
+      filterFormats(formats, {
+        containers: target === "mkv" ? null : [target],
+        codecs: vcodec ? [vcodec] : null,
+      })[0] || pickDefaultFormat(formats);
+  }
+  const selector = source
+    ? mergeSelector(source)
+    : buildDownloadFormatString(entry, formatId);
+
+  // unknown source codecs are re-encoded unless the container takes anything
+  let video = "copy";
+  if (burn || (vcodec === "h264" && source?.vcodec !== "h264")) {
+    video = "libx264";
+  } else if (spec.video && !spec.video.includes(source?.vcodec)) {
+    video = spec.videoEncoder;
+  }
+  const audio =
+    spec.audio && !spec.audio.includes(source?.acodec)
+      ? spec.audioEncoder
+      : "copy";
+
+  // Nothing to change: yt-dlp's own output already is the target
+  if (
+    !burn &&
+    video === "copy" &&
+    audio === "copy" &&
+    source?.container === target
+  ) {
+    return { selector, ext: target, mergeFormat: target, ffmpeg: null };
+  }
+  return {
+    selector,
+    ext: target,
+    // a merged download reaches ffmpeg as Matroska, which holds any codec
+    mergeFormat: "mkv",
+    ffmpeg: { container: target, video, audio },
+  };
+}
+
+// Title -> file name without extension. sanitize-filename drops what is
+// illegal on common filesystems; everything else (accents, CJK, emoji) stays.
+function safeFileBase(title) {
+  const clean = sanitizeFilename(String(title || "").replace(/\s+/g, " "), {
+    replacement: "_",
+  }).trim();
+  // by code point, so a surrogate pair is never cut in half
+  return Array.from(clean).slice(0, 100).join("").trim() || "video";
+}
+
+// RFC 6266 Content-Disposition: an ASCII filename for old clients plus an
+// RFC 5987 filename* that keeps the full UTF-8 title
+function contentDisposition(filename, type = "attachment") {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\%]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// yt-dlp picks the extension ("<prefix>.%(ext)s"), so look the final file up.
+// Final output is exactly "<prefix>.<ext>"; skip .part files and the
+// per-format intermediates ("<prefix>.f137.mp4") left before a merge.
+function findTmpOutput(prefix) {
+  for (const name of fs.readdirSync(os.tmpdir())) {
+    if (!name.startsWith(`${prefix}.`)) continue;
+    const ext = name.slice(prefix.length + 1);
+    if (/^[a-z0-9]+$/i.test(ext) && ext !== "part" && ext !== "ytdl") {
+      return { filePath: path.join(os.tmpdir(), name), ext: ext.toLowerCase() };
+    }
+  }
+  return null;
+}
+
+const MIME_BY_EXT = {
+  mp4: "video/mp4",
+  m4a: "audio/mp4",
+  webm: "video/webm",
+  mkv: "video/x-matroska",
+  mov: "video/quicktime",
+  mp3: "audio/mpeg",
+  opus: "audio/ogg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+function mimeForExt(ext) {
+  return (
+    MIME_BY_EXT[String(ext || "").toLowerCase()] || "application/octet-stream"
+  );
+}
+
+// ---------------------------
+// DOWNLOAD JOBS (yt-dlp -> temp file)
+// ---------------------------
+const jobs = createJobManager({ ttlMs: CONFIG.jobs.ttlMs });
+
+function jobFilePrefix(jobId) {
+  return `job_${jobId}`;
+}
+
+// keepFile: the file belongs to the media store, so job cleanup leaves it
+function completeJob(job, { filePath, ext, keepFile = false }) {
+  const filesize = fs.statSync(filePath).size;
+  return jobs.update(job, {
+    status: "completed",
+    filePath,
+    ext,
+    keepFile,
+    filesize,
+    progress: {
+      ...job.progress,
+      percent: 100,
+      downloadedBytes: filesize,
+      totalBytes: filesize,
+      eta: 0,
+    },
+  });
+}
+
+async function runDownloadJob(job, entry) {
+  const formatString = buildDownloadFormatString(entry, job.formatId);
+  const cacheKey = `job:${entry.data.videoId}:${formatString}`;
+  const stored = mediaStore.get(cacheKey);
+  mCacheRequests.inc({ cache: "job", result: stored ? "hit" : "miss" });
+  if (stored) {
+    return completeJob(job, {
+      filePath: stored.path,
+      ext: stored.ext,
+      keepFile: true,
+    });
+  }
+
+  const { originalUrl, platform } = entry;
+  let release;
+  try {
+    release = await ytDlpQueue.acquire({
+      priority: "bulk",
+      platform,
+      key: cacheKey,
+      label: `job ${job.id}`,
+    });
+  } catch (err) {
+    // cancelled from the admin queue endpoint
+    jobs.update(job, { status: "failed", error: err.toJSON() });
+    throw err;
+  }
+
+  return new Promise((resolve, reject) => {
+    const outTemplate = `${tmpPath(jobFilePrefix(job.id))}.%(ext)s`;
+
+    const args = [
+      originalUrl,
+      "-o",
+      outTemplate,
+      "-f",
+      formatString,
+      "--newline",
+      ...maxFilesizeArgs(),
+      ...playlistItemArgs(entry),
+      "--no-warnings",
+      ...getPlatformArgs(platform),
+    ];
+
+    let timedOut = false;
+    const proc = spawnYtDlp(
+      args,
+      { stdio: ["ignore", "pipe", "pipe"] },
+      {
+        kind: "job",
+        timeoutMs: CONFIG.download.timeoutMs,
+        onTimeout: () => (timedOut = true),
+      }
+    );
+
+    jobs.update(job, { status: "downloading" });
+
+    let buf = "";
+    let stderr = "";
+    let tooLarge = false;
+
+    // Merged downloads fetch video and audio as separate parts, each of which
+    // reports 0-100%; "part" tells the client which one is running.
+    function onLine(line) {
+      if (line.startsWith("[download] Destination:")) {
+        jobs.update(job, {
+          progress: {
+            ...job.progress,
+            percent: 0,
+            part: job.progress.part + 1,
+          },
+        });
+        return;
+      }
+      if (line.startsWith("[Merger]") || line.startsWith("[ffmpeg]")) {
+        jobs.update(job, { status: "merging" });
+        return;
+      }
+      // --max-filesize skips the file and still exits 0
+      if (/larger than max-filesize/i.test(line)) {
+        tooLarge = true;
+        return;
+      }
+      const p = parseProgressLine(line);
+      if (p) jobs.update(job, { progress: { ...job.progress, ...p } });
+    }
+
+    proc.stdout.on("data", (d) => {
+      buf += d.toString("utf8");
+      const lines = buf.split(/\r?\n|\r/);
+      buf = lines.pop();
+      for (const line of lines) onLine(line);
+    });
+    proc.stderr.on("data", (d) => (stderr += d.toString("utf8")));
+
+    // a spawn error is followed by "close", which settles the job
+    let spawnError = null;
+    proc.on("error", (e) => (spawnError = processError("yt-dlp", e)));
+
+    proc.on("close", (code) => {
+      release();
+      if (buf) onLine(buf);
+
+      const out = code === 0 ? findTmpOutput(jobFilePrefix(job.id)) : null;
+      if (!out) {
+        let err = ytDlpError(stderr, { exitCode: code });
+        if (spawnError) {
+          err = spawnError;
+        } else if (timedOut) {
+          err = processError("yt-dlp", null, {
+            timedOut: true,
+            timeoutMs: CONFIG.download.timeoutMs,
+          });
+        } else if (tooLarge) {
+          err = new ApiError("MEDIA_TOO_LARGE", {
+            tool: "yt-dlp",
+            details: "yt-dlp skipped the file (--max-filesize)",
+          });
+        } else if (code === 0) {
+          err = new ApiError("UPSTREAM_ERROR", {
+            tool: "yt-dlp",
+            details: "yt-dlp finished but produced no output file",
+          });
+        }
+        jobs.update(job, { status: "failed", error: err.toJSON() });
+        return reject(err);
+      }
+
+      // Files too large for the store stay a plain temp file of this job
+      mediaStore
+        .put(cacheKey, out.filePath, { ext: out.ext })
+        .catch((err) => {
+          console.warn(`⚠️ Media cache write failed: ${err.message}`);
+          return null;
+        })
+        .then((stored) =>
+          resolve(
+            completeJob(job, {
+              filePath: stored ? stored.path : out.filePath,
+              ext: out.ext,
+              keepFile: Boolean(stored),
+            })
+          )
+        );
+    });
+  });
+}
+
+// Live streams never end on their own: yt-dlp streams into ffmpeg, which
+// copies job.recordSeconds of it into an mp4. Recordings are not cached,
+// the same request later records something else.
+async function runRecordJob(job, entry) {
+  const { originalUrl, platform } = entry;
+  const outPath = tmpPath(`${jobFilePrefix(job.id)}.mp4`);
+  const seconds = job.recordSeconds;
+
+  const ytdlpArgs = [
+    originalUrl,
+    "-o",
+    "-",
+    "-f",
+    buildDownloadFormatString(entry, job.formatId),
+    ...playlistItemArgs(entry),
+    "--no-warnings",
+    "--no-progress",
+    ...getPlatformArgs(platform),
+  ];
+  const ffArgs = [
+    "-y",
+    "-i",
+    "pipe:0",
+    "-t",
+    String(seconds),
+    "-c",
+    "copy",
+    "-movflags",
+    "+faststart",
+    outPath,
+  ];
+
+  jobs.update(job, { status: "recording" });
+  const startedAt = Date.now();
+  const timer = setInterval(() => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    jobs.update(job, {
+      progress: {
+        ...job.progress,
+        percent: Math.min(99, Math.round((elapsed / seconds) * 100)),
+        eta: Math.max(0, Math.round(seconds - elapsed)),
+      },
+    });
+  }, 1000);
+
+  try {
+    await transcodeViaYtDlp(
+      ytdlpArgs,
+      ffArgs,
+      outPath,
+      {
+        kind: "record",
+        timeoutMs: seconds * 1000 + CONFIG.live.recordSlackMs,
+      },
+      {
+        priority: "bulk",
+        platform,
+        key: `job:${job.id}`,
+        label: `record ${job.id}`,
+      }
+    );
+  } catch (err) {
+    fs.unlink(outPath, () => {});
+    jobs.update(job, { status: "failed", error: toApiError(err).toJSON() });
+    throw err;
+  } finally {
+    clearInterval(timer);
+  }
+  return completeJob(job, { filePath: outPath, ext: "mp4" });
+}
+
+// ---------------------------
+// HLS PROXY (manifests + segments with the platform's headers and cookies)
+// ---------------------------
+function isHlsFormat(format) {
+  return String(format.protocol || "").startsWith("m3u8");
+}
+
+function findRawFormat(raw, formatId) {
+  if (!formatId) return null;
+  const formats = Array.isArray(raw.formats) ? raw.formats : [];
+  return formats.find((f) => String(f.format_id) === String(formatId)) || null;
+}
+
+// { formatId, url } to play: the requested HLS format's own playlist, else
+// the master playlist behind the best HLS format (yt-dlp lists best last)
+function pickHlsSource(raw, formatId = null) {
+  if (formatId) {
+    const f = findRawFormat(raw, formatId);
+    return f && isHlsFormat(f)
+      ? { formatId: String(f.format_id), url: f.url }
+      : null;
+  }
+  const formats = (Array.isArray(raw.formats) ? raw.formats : []).filter(
+    isHlsFormat
+  );
+  const best = formats[formats.length - 1];
+  if (!best) return null;
+  return {
+    formatId: String(best.format_id),
+    url: best.manifest_url || best.url,
+  };
+}
+
+// Headers yt-dlp would send for this format (HLS proxy, direct previews);
+// cookies depend on the host
+function formatRequestHeaders(raw, formatId, url) {
+  const format = findRawFormat(raw, formatId) || {};
+  const headers = { ...raw.http_headers, ...format.http_headers };
+  const cookie = cookieHeaderFor(format.cookies || raw.cookies, url);
+  if (cookie) headers.Cookie = cookie;
+  return headers;
+}
+
+// Redirects are followed by hand so every hop passes checkUrl. Resolves to
+// { resp, url } with the URL the body finally came from.
+async function fetchHlsUpstream(entry, formatId, url, opts = {}) {
+  const { responseType = "text", range = null, method = "GET" } = opts;
+  const raw = entry.data._raw || {};
+  let target = url;
+
+  for (let hop = 0; hop <= CONFIG.hls.maxRedirects; hop++) {
+    await checkUrl(target, { lists: false });
+    let resp;
+    try {
+      resp = await axios.request({
+        method,
+        url: target,
+        headers: {
+          ...formatRequestHeaders(raw, formatId, target),
+          ...(range ? { Range: range } : {}),
+        },
+        responseType,
+        transformResponse: (x) => x,
+        timeout: CONFIG.hls.timeoutMs,
+        maxRedirects: 0,
+        maxContentLength:
+          responseType === "text" ? CONFIG.hls.maxManifestBytes : -1,
+        validateStatus: (status) => status < 400,
+      });
+    } catch (err) {
+      throw httpError(err);
+    }
+
+    if (resp.status < 300 || resp.status >= 400) return { resp, url: target };
+    if (responseType === "stream") resp.data.destroy();
+    if (!resp.headers.location) break;
+    target = new URL(resp.headers.location, target).toString();
+  }
+
+  throw new ApiError("UPSTREAM_ERROR", {
+    details: `HLS fetch of ${url}: too many or broken redirects`,
+  });
+}
+
+// Rewritten URIs point back at /api/video/hls/proxy. The token is issued to
+// the calling client and authenticates the player as that client, so no API
+// key ever ends up in a playlist.
+function hlsProxyUrl(req, vid, formatId, url, kind) {
+  const params = new URLSearchParams({
+    t: signProxyTarget(CONFIG.hls.secret, {
+      vid,
+      formatId,
+      kind,
+      url,
+      clientId: req.apiClient.id,
+      exp: Date.now() + CONFIG.hls.tokenTtlMs,
+    }),
+  });
+  return `/api/video/hls/proxy?${params}`;
+}
+
+async function sendHlsManifest(req, res, entry, { formatId, url }) {
+  const { resp, url: baseUrl } = await fetchHlsUpstream(entry, formatId, url);
+  if (!isManifest(resp.headers["content-type"], resp.data)) {
+    throw new ApiError("UPSTREAM_ERROR", {
+      details: `HLS fetch of ${url}: not an m3u8 playlist`,
+    });
+  }
+
+  const vid = entry.data.videoId;
+  const body = rewriteManifest(resp.data, baseUrl, (uri, kind) =>
+    hlsProxyUrl(req, vid, formatId, uri, kind)
+  );
+  res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+  // live playlists change with every segment; the tokens are per client
+  res.setHeader("Cache-Control", "private, no-cache");
+  res.send(body);
+}
+
+// Range requests are passed through (EXT-X-BYTERANGE playlists need them),
+// and so is HEAD
+async function streamHlsSegment(req, res, entry, { formatId, url }) {
+  const { resp } = await fetchHlsUpstream(entry, formatId, url, {
+    responseType: "stream",
+    range: req.get("range"),
+    method: req.method === "HEAD" ? "HEAD" : "GET",
+  });
+
+  res.status(resp.status);
+  for (const name of [
+    "content-type",
+    "content-length",
+    "content-range",
+    "accept-ranges",
+  ]) {
+    if (resp.headers[name]) res.setHeader(name, resp.headers[name]);
+  }
+  const { platform } = entry;
+  resp.data.on("data", (c) => mHlsProxyBytes.inc({ platform }, c.length));
+  pipeline(resp.data, res, () => {});
+}
+
+// ---------------------------
+// BATCH INFO
+// ---------------------------
+// "?stream=ndjson|sse", else the Accept header; plain JSON by default
+function batchStreamMode(req) {
+  const mode = String(req.query.stream || "").toLowerCase();
+  if (mode === "ndjson" || mode === "sse") return mode;
+  const accepted = req.accepts([
+    "application/json",
+    "application/x-ndjson",
+    "text/event-stream",
+  ]);
+  if (accepted === "application/x-ndjson") return "ndjson";
+  if (accepted === "text/event-stream") return "sse";
+  return "json";
+}
+
+// One URL -> { index, url, ok: true, info } | { index, url, ok: false, error }
+async function resolveBatchItem(url, index, signal) {
+  try {
+    if (typeof url !== "string" || !validateUrl(url)) {
+      throw new ApiError("UNSUPPORTED_URL", { details: `batch item ${index}` });
+    }
+    const data = await extractOnce(url, { signal });
+    // Same as /api/video/info: warm the preview in the background
+    getOrGeneratePreview(data.videoId, CONFIG.preview.profiles.default, {
+      priority: "warmup",
+    }).catch(() => {});
+    return { index, url, ok: true, info: toPublicVideoInfo(data) };
+  } catch (err) {
+    const apiErr = toApiError(err);
+    if (apiErr.status >= 500) {
+      console.error(
+        `❌ Batch item failed [${apiErr.code}]: ${apiErr.details || apiErr.message}`
+      );
+    }
+    return { index, url, ok: false, error: apiErr.toJSON() };
+  }
+}
+
+// Resolves the URLs CONFIG.batch.concurrency at a time, calling onResult in
+// completion order. Stops starting new ones once signal aborts (client gone).
+async function runBatch(urls, onResult, signal) {
+  let next = 0;
+  async function worker() {
+    while (next < urls.length && !signal.aborted) {
+      const index = next++;
+      onResult(await resolveBatchItem(urls[index], index, signal));
+    }
+  }
+  const workers = Math.min(CONFIG.batch.concurrency, urls.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+// ---------------------------
+// WEBHOOKS (signed callbacks when async work finishes)
+// ---------------------------
+const webhooks = createWebhookDispatcher({
+  ...CONFIG.webhooks,
+  checkUrl: (url) => checkUrl(url, { lists: false }),
+  onOutcome: (d, outcome) =>
+    mWebhookDeliveries.inc({ event: d.event, outcome }),
+});
+
+// Validates a request's callbackUrl. Resolves to null when there is none,
+// to { url, clientId, secret } when it is usable, and throws otherwise.
+async function resolveCallback(req, value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const url = String(value);
+  if (!validateUrl(url)) {
+    throw new ApiError("UNSUPPORTED_URL", {
+      message: "callbackUrl must be an http(s) URL.",
+      details: `callbackUrl: ${url}`,
+    });
+  }
+  const secret = req.apiClient?.webhookSecret || CONFIG.webhooks.secret;
+  if (!secret) {
+    throw new ApiError("URL_NOT_ALLOWED", {
+      message: "Webhooks are not configured for this API key.",
+    });
+  }
+  await checkUrl(url, { lists: false });
+
+  return { url, clientId: req.apiClient?.id || null, secret };
+}
+
+function notify(callback, event, data) {
+  if (!callback) return null;
+  return webhooks.send({ ...callback, event, data });
+}
+
+function accepted(res, callback, extra = {}) {
+  res.status(202).json({
+    status: "accepted",
+    callbackUrl: callback.url,
+    deliveriesUrl: "/api/webhooks/deliveries",
+    ...extra,
+  });
+}
+
+// ---------------------------
+// CACHE CLEANUP
+// ---------------------------
+function cleanupCache() {
+  const now = Date.now();
+
+  // Metadata stores expire entries themselves; this just frees memory early
+  metaCache.prune().catch(() => {});
+  playlistCache.prune().catch(() => {});
+  quotaStore.prune().catch(() => {});
+
+  sweepTmpFiles();
+
+  jobs.cleanup(now);
+}
+
+// ---------------------------
+// ROUTES
+// ---------------------------
+app.get("/health", async (req, res) => {
+  // load balancers stop routing here while we drain
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? "draining" : "ok",
+    ytDlp: CONFIG.ytDlpPath,
+    ffmpeg: CONFIG.ffmpegPath,
+    cacheBackend: metaCache.backend,
+    redis: redis ? redis.status : undefined,
+    cacheSize: await metaCache.size(),
+    playlistCacheSize: await playlistCache.size(),
+    mediaCache: mediaStore.stats(),
+    inflightExtract: inflightExtract.size,
+    inflightPreview: inflightPreview.size,
+    inflightPlaylist: inflightPlaylist.size,
+    inflightAudio: inflightAudio.size,
+    inflightClip: inflightClip.size,
+    jobs: jobs.size,
+    semYtDlp: ytDlpQueue.stats(),
+    semFfmpeg: ffmpegQueue.stats(),
+    processes: supervisor.counts(),
+    uptime: process.uptime(),
+  });
+});
+
+// Scrape-time gauges for pool/queue state
+metrics.gauge({
+  name: "imvid_semaphore_slots",
+  help: "Concurrency slots by semaphore and state",
+  labelNames: ["semaphore", "state"],
+  collect() {
+    for (const queue of WORK_QUEUES) {
+      const { running, queued } = queue.stats();
+      this.set({ semaphore: queue.name, state: "running" }, running);
+      this.set({ semaphore: queue.name, state: "queued" }, queued);
+    }
+  },
+});
+metrics.gauge({
+  name: "imvid_queue_tasks",
+  help: "Work queue tasks by queue, priority class and state",
+  labelNames: ["queue", "priority", "state"],
+  collect() {
+    for (const queue of WORK_QUEUES) {
+      const { byPriority } = queue.stats();
+      for (const [priority, counts] of Object.entries(byPriority)) {
+        for (const state of ["running", "queued"]) {
+          this.set({ queue: queue.name, priority, state }, counts[state]);
+        }
+      }
+    }
+  },
+});
+metrics.gauge({
+  name: "imvid_inflight",
+  help: "Deduplicated in-flight work by pipeline",
+  labelNames: ["kind"],
+  collect() {
+    this.set({ kind: "extract" }, inflightExtract.size);
+    this.set({ kind: "playlist" }, inflightPlaylist.size);
+    this.set({ kind: "preview" }, inflightPreview.size);
+    this.set({ kind: "audio" }, inflightAudio.size);
+    this.set({ kind: "clip" }, inflightClip.size);
+  },
+});
+metrics.gauge({
+  name: "imvid_child_processes",
+  help: "Running yt-dlp / ffmpeg children by kind of work",
+  labelNames: ["kind"],
+  collect() {
+    const counts = supervisor.counts();
+    for (const kind of PROCESS_KINDS) this.set({ kind }, counts[kind] || 0);
+  },
+});
+metrics.gauge({
+  name: "imvid_cookie_jars",
+  help: "Pooled cookie jars by platform and status",
+  labelNames: ["platform", "status"],
+  collect() {
+    for (const { platform, active, quarantined } of cookiePool.counts()) {
+      this.set({ platform, status: "active" }, active);
+      this.set({ platform, status: "quarantined" }, quarantined);
+    }
+  },
+});
+metrics.gauge({
+  name: "imvid_file_cache_entries",
+  help: "Files in the media store by kind",
+  labelNames: ["cache"],
+  collect() {
+    const { byKind } = mediaStore.stats();
+    for (const kind of MEDIA_KINDS)
+      this.set({ cache: kind }, byKind[kind] || 0);
+  },
+});
+metrics.gauge({
+  name: "imvid_media_cache_bytes",
+  help: "Bytes used by the media store, and its budget",
+  labelNames: ["state"],
+  collect() {
+    const { bytes, maxBytes } = mediaStore.stats();
+    this.set({ state: "used" }, bytes);
+    this.set({ state: "max" }, maxBytes);
+  },
+});
+
+app.get("/metrics", async (req, res) => {
+  if (
+    CONFIG.metricsToken &&
+    req.get("authorization") !== `Bearer ${CONFIG.metricsToken}`
+  ) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+  res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+  res.send(await metrics.render());
+});
+
+// ---------------------------
+// AUTH + LIMITS (everything under /api; /health stays open)
+// ---------------------------
+const apiKeys = loadApiKeys(CONFIG.auth);
+const authRequired =
+  CONFIG.auth.required != null
+    ? CONFIG.auth.required === "true"
+    : apiKeys.size > 0;
+
+const authenticate = createAuthMiddleware({
+  keys: apiKeys,
+  required: authRequired,
+  defaults: CONFIG.auth.defaults,
+  tokenClientId: (req) =>
+    req.path === "/video/hls/proxy"
+      ? verifyProxyTarget(CONFIG.hls.secret, req.query.t)?.clientId
+      : null,
+});
+const apiLimiter = createRateLimiter({ name: "api", limitField: "rpm" });
+const previewLimiter = createRateLimiter({
+  name: "preview",
+  limitField: "previewRpm",
+});
+const downloadLimiter = createRateLimiter({
+  name: "download",
+  limitField: "downloadRpm",
+});
+const downloadQuota = createDownloadQuota({ store: quotaStore });
+
+app.use("/api", authenticate, apiLimiter);
+
+// Your main metadata endpoint
+app.get("/api/video/info", async (req, res) => {
+  const url = req.query.url;
+  if (!url) return res.status(400).json({ error: "Missing 'url' parameter" });
+  if (!validateUrl(url))
+    return res.status(400).json({ error: "Invalid URL format" });
+
+  const { filters, error } = parseFormatFilters(req.query);
+  if (error) return res.status(400).json(error);
+
+  let callback;
+  try {
+    callback = await resolveCallback(req, req.query.callbackUrl);
+  } catch (err) {
+    return sendApiError(res, err, "Invalid callbackUrl");
+  }
+
+  // With a callbackUrl the answer arrives as an "extraction.*" webhook, so
+  // the extraction must outlive this request
+  const signal = callback ? null : requestSignal(res);
+  const work = extractOnce(url, { signal }).then((data) => {
+    // Warm preview in background (non-blocking), behind interactive work
+    getOrGeneratePreview(data.videoId, CONFIG.preview.profiles.default, {
+      priority: "warmup",
+    }).catch(() => {});
+    return toPublicVideoInfo(data, filters);
+  });
+
+  if (callback) {
+    accepted(res, callback);
+    work.then(
+      (info) => notify(callback, "extraction.completed", info),
+      (err) =>
+        notify(callback, "extraction.failed", {
+          url,
+          error: toApiError(err).toJSON(),
+        })
+    );
+    return;
+  }
+
+  try {
+    res.json(await work);
+  } catch (err) {
+    sendApiError(res, err, "Extraction failed");
+  }
+});
+
+// Many URLs in one request, e.g. from a share sheet. Answers with
+// { count, succeeded, failed, results } in input order, or streams each
+// result as soon as it is ready (NDJSON or SSE, see batchStreamMode).
+app.post("/api/video/batch", async (req, res) => {
+  const urls = req.body?.urls;
+  if (!Array.isArray(urls) || !urls.length)
+    return res.status(400).json({ error: "Missing 'urls' array" });
+  if (urls.length > CONFIG.batch.maxUrls)
+    return res.status(400).json({
+      error: "Too many URLs",
+      maxUrls: CONFIG.batch.maxUrls,
+    });
+
+  const mode = batchStreamMode(req);
+  const signal = requestSignal(res);
+  const summary = { count: urls.length, succeeded: 0, failed: 0 };
+  const results = new Array(urls.length);
+
+  if (mode === "ndjson") {
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  } else if (mode === "sse") {
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+  }
+  if (mode !== "json") {
+    res.setHeader("X-Accel-Buffering", "no"); // nginx: do not hold the stream
+    res.flushHeaders();
+  }
+
+  function emit(event, payload) {
+    if (res.destroyed) return;
+    if (mode === "ndjson") res.write(`${JSON.stringify(payload)}\n`);
+    if (mode === "sse")
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  await runBatch(
+    urls,
+    (result) => {
+      summary[result.ok ? "succeeded" : "failed"]++;
+      results[result.index] = result;
+      emit("result", result);
+    },
+    signal
+  );
+
+  if (res.destroyed) return;
+  if (mode === "json") return res.json({ ...summary, results });
+  // NDJSON ends with the stream itself; EventSource needs an explicit end
+  if (mode === "sse") emit("done", summary);
+  res.end();
+});
+
+// Playlist / channel / profile / carousel listing (paginated)
+app.get("/api/playlist/info", async (req, res) => {
+  const url = req.query.url;
+  if (!url) return res.status(400).json({ error: "Missing 'url' parameter" });
+  if (!validateUrl(url))
+    return res.status(400).json({ error: "Invalid URL format" });
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(
+    CONFIG.playlist.maxPageSize,
+    Math.max(
+      1,
+      parseInt(req.query.pageSize, 10) || CONFIG.playlist.defaultPageSize
+    )
+  );
+
+  try {
+    const { entries, ...playlist } = await extractPlaylistOnce(url, {
+      signal: requestSignal(res),
+    });
+    const totalPages = Math.max(1, Math.ceil(entries.length / pageSize));
+
+    res.json({
+      ...playlist,
+      page,
+      pageSize,
+      totalPages,
+      hasMore: page < totalPages,
+      entries: entries.slice((page - 1) * pageSize, page * pageSize),
+    });
+  } catch (err) {
+    sendApiError(res, err, "Extraction failed");
+  }
+});
+
+// Preview endpoint: 4s of silent MP4 from the start by default; a profile
+// and/or start, duration, width, audio, format pick another (see
+// parsePreviewOptions)
+app.get("/api/video/preview", previewLimiter, async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  let opts;
+  try {
+    opts = parsePreviewOptions(req.query);
+  } catch (err) {
+    return sendApiError(res, err, "Invalid preview options");
+  }
+
+  let callback;
+  try {
+    callback = await resolveCallback(req, req.query.callbackUrl);
+  } catch (err) {
+    return sendApiError(res, err, "Invalid callbackUrl");
+  }
+
+  // With a callbackUrl the preview is generated in the background and a
+  // "preview.*" webhook says when previewUrl is ready
+  if (callback) {
+    const videoId = String(vid);
+    accepted(res, callback, { videoId });
+    getOrGeneratePreview(videoId, opts).then(
+      () =>
+        notify(callback, "preview.completed", {
+          videoId,
+          previewUrl: previewPath(videoId, opts),
+        }),
+      (err) =>
+        notify(callback, "preview.failed", {
+          videoId,
+          error: toApiError(err).toJSON(),
+        })
+    );
+    return;
+  }
+
+  try {
+    const filePath = await getOrGeneratePreview(String(vid), opts, {
+      signal: requestSignal(res),
+    });
+    await serveVideoFile(filePath, req, res, PREVIEW_FORMATS[opts.format].mime);
+  } catch (err) {
+    sendApiError(res, err, "Preview failed");
+  }
+});
+
+// Audio-only endpoint: transcodes to mp3/m4a/opus with tags + cover art
+app.get(
+  "/api/video/audio",
+  downloadLimiter,
+  downloadQuota,
+  async (req, res) => {
+    const vid = req.query.vid;
+    if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+    const codec = String(req.query.codec || CONFIG.audio.defaultCodec);
+    if (!AUDIO_CODECS[codec]) {
+      return res.status(400).json({
+        error: "Unsupported codec",
+        allowed: Object.keys(AUDIO_CODECS),
+      });
+    }
+
+    const bitrate = Number(req.query.bitrate || CONFIG.audio.defaultBitrate);
+    if (!CONFIG.audio.allowedBitrates.includes(bitrate)) {
+      return res.status(400).json({
+        error: "Unsupported bitrate",
+        allowed: CONFIG.audio.allowedBitrates,
+      });
+    }
+
+    const entry = await metaCache.get(String(vid));
+    if (!entry || !entry.data)
+      return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+    const formatId = req.query.formatId ? String(req.query.formatId) : null;
+
+    try {
+      const filePath = await getOrGenerateAudio(
+        String(vid),
+        { formatId, codec, bitrate },
+        { signal: requestSignal(res) }
+      );
+      const spec = AUDIO_CODECS[codec];
+      res.setHeader(
+        "Content-Disposition",
+        contentDisposition(`${safeFileBase(entry.data.title)}.${spec.ext}`)
+      );
+      await serveVideoFile(filePath, req, res, spec.mime);
+    } catch (err) {
+      sendApiError(res, err, "Audio extraction failed");
+    }
+  }
+);
+
+// Clip endpoint: exports start..end as mp4 / webm / gif / webp
+app.get("/api/video/clip", downloadLimiter, downloadQuota, async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  const format = String(req.query.format || "mp4");
+  const spec = CLIP_FORMATS[format];
+  if (!spec) {
+    return res.status(400).json({
+      error: "Unsupported format",
+      allowed: Object.keys(CLIP_FORMATS),
+    });
+  }
+
+  const start = parseClipTime(req.query.start);
+  const end = parseClipTime(req.query.end);
+  if (start == null || end == null)
+    return res.status(400).json({
+      error: "Invalid or missing 'start'/'end' (seconds or HH:MM:SS)",
+    });
+  if (end <= start)
+    return res.status(400).json({ error: "'end' must be after 'start'" });
+
+  const maxSeconds = spec.animated
+    ? CONFIG.clip.maxAnimatedSeconds
+    : CONFIG.clip.maxSeconds;
+  if (end - start > maxSeconds)
+    return res
+      .status(400)
+      .json({ error: `Clip too long (max ${maxSeconds}s for ${format})` });
+
+  const maxWidth = spec.animated
+    ? CONFIG.clip.animatedWidth
+    : CONFIG.clip.maxWidth;
+  let width = req.query.width ? parseInt(req.query.width, 10) : null;
+  if (width != null && !(width >= 16))
+    return res.status(400).json({ error: "Invalid 'width'" });
+  if (spec.animated) width = width || CONFIG.clip.animatedWidth;
+  // even widths keep x264/vp9 happy
+  if (width) width = Math.min(width, maxWidth) & ~1;
+
+  const entry = await metaCache.get(String(vid));
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+  const duration = Number(entry.data.duration || 0);
+  if (duration && start >= duration)
+    return res
+      .status(400)
+      .json({ error: "'start' is past the end of the video", duration });
+
+  const opts = {
+    start,
+    end: duration ? Math.min(end, duration) : end,
+    format,
+    width,
+    formatId: req.query.formatId ? String(req.query.formatId) : null,
+    withAudio: !spec.animated && req.query.audio !== "0",
+  };
+
+  try {
+    const filePath = await getOrGenerateClip(String(vid), opts, {
+      signal: requestSignal(res),
+    });
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(
+        `${safeFileBase(entry.data.title)}_${opts.start}-${opts.end}.${spec.ext}`
+      )
+    );
+    await serveVideoFile(filePath, req, res, mimeForExt(spec.ext));
+  } catch (err) {
+    sendApiError(res, err, "Clip export failed");
+  }
+});
+
+// Thumbnail endpoint: the platform thumbnail, resized and served locally
+app.get("/api/video/thumbnail", previewLimiter, async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  const format = String(req.query.format || "jpeg");
+  const spec = THUMBNAIL_FORMATS[format];
+  if (!spec) {
+    return res.status(400).json({
+      error: "Unsupported format",
+      allowed: Object.keys(THUMBNAIL_FORMATS),
+    });
+  }
+
+  const width = Number(req.query.w || CONFIG.thumbnail.defaultWidth);
+  if (!CONFIG.thumbnail.allowedWidths.includes(width)) {
+    return res.status(400).json({
+      error: "Unsupported width",
+      allowed: CONFIG.thumbnail.allowedWidths,
+    });
+  }
+
+  const entry = await metaCache.get(String(vid));
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+  if (!pickThumbnailUrl(entry.data._raw || {}))
+    return res.status(404).json({ error: "No thumbnail for this video" });
+
+  try {
+    const filePath = await getOrGenerateThumbnail(
+      String(vid),
+      { width, format },
+      { signal: requestSignal(res) }
+    );
+    await serveVideoFile(filePath, req, res, spec.mime);
+  } catch (err) {
+    sendApiError(res, err, "Thumbnail failed");
+  }
+});
+
+// Storyboard endpoints: a WebVTT index whose cues point into one sprite
+// sheet (#xywh=x,y,w,h), for scrub previews
+app.get("/api/video/storyboard", previewLimiter, async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  const entry = await metaCache.get(String(vid));
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+  try {
+    // built before answering, so the sprite is ready when the player asks
+    await getOrGenerateStoryboard(String(vid), { signal: requestSignal(res) });
+    res.setHeader("Content-Type", "text/vtt; charset=utf-8");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    res.send(storyboardVtt(entry.data.videoId, storyboardLayout(entry.data)));
+  } catch (err) {
+    sendApiError(res, err, "Storyboard failed");
+  }
+});
+
+app.get("/api/video/storyboard/sprite", previewLimiter, async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  try {
+    const filePath = await getOrGenerateStoryboard(String(vid), {
+      signal: requestSignal(res),
+    });
+    await serveVideoFile(filePath, req, res, "image/jpeg");
+  } catch (err) {
+    sendApiError(res, err, "Storyboard failed");
+  }
+});
+
+// HLS endpoints: the playlist of an HLS format (?formatId=, default: the
+// master playlist), with every playlist, key and segment URI rewritten to
+// /api/video/hls/proxy, which fetches it with the platform's headers and
+// cookies. Live streams play this way.
+app.get("/api/video/hls", async (req, res) => {
+  const vid = req.query.vid;
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+  const entry = await metaCache.get(String(vid));
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+  const formatId = req.query.formatId ? String(req.query.formatId) : null;
+  const source = pickHlsSource(entry.data._raw || {}, formatId);
+  if (!source) {
+    return sendApiError(
+      res,
+      new ApiError("FORMAT_UNAVAILABLE", {
+        message: "There is no HLS format to play for this video.",
+        details: `hls: ${vid} formatId=${formatId}`,
+      }),
+      "HLS failed"
+    );
+  }
+
+  try {
+    await assertMediaAllowed(entry, { live: true });
+    await sendHlsManifest(req, res, entry, source);
+  } catch (err) {
+    sendApiError(res, err, "HLS failed");
+  }
+});
+
+// Sets req.hlsTarget from the ?t= token, which only works for the client it
+// was issued to
+function hlsProxyTarget(req, res, next) {
+  req.hlsTarget = verifyProxyTarget(CONFIG.hls.secret, req.query.t);
+  if (!req.hlsTarget || req.hlsTarget.clientId !== req.apiClient.id)
+    return res.status(403).json({ error: "Invalid or expired HLS token" });
+  next();
+}
+
+// Segments are media bytes and count like downloads (downloadRpm and the
+// daily quota); playlists are plain API calls
+function hlsSegmentsOnly(middleware) {
+  return (req, res, next) =>
+    req.hlsTarget.kind === "segment" ? middleware(req, res, next) : next();
+}
+
+app.get(
+  "/api/video/hls/proxy",
+  hlsProxyTarget,
+  hlsSegmentsOnly(downloadLimiter),
+  hlsSegmentsOnly(downloadQuota),
+  async (req, res) => {
+    const target = req.hlsTarget;
+    const entry = await metaCache.get(String(target.vid));
+    if (!entry || !entry.data)
+      return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+    try {
+      if (target.kind === "playlist") {
+        await sendHlsManifest(req, res, entry, target);
+      } else {
+        await streamHlsSegment(req, res, entry, target);
+      }
+    } catch (err) {
+      sendApiError(res, err, "HLS failed");
+    }
+  }
+);
+
+// Subtitles endpoint: one caption track converted to srt, vtt or json
+app.get("/api/video/subtitles", async (req, res) => {
+  const vid = req.query.vid;
+  const lang = req.query.lang;
+  const format = String(req.query.format || "vtt");
+  if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+  if (!lang) return res.status(400).json({ error: "Missing 'lang' parameter" });
+  if (!["srt", "vtt", "json"].includes(format)) {
+    return res
+      .status(400)
+      .json({ error: "Unsupported format", allowed: ["srt", "vtt", "json"] });
+  }
+
+  const entry = await metaCache.get(String(vid));
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+  let track;
+  try {
+    track = await getSubtitleCues(
+      entry,
+      String(lang),
+      parseAutoFlag(req.query.auto)
+    );
+  } catch (err) {
+    return sendApiError(res, err, "Subtitle fetch failed");
+  }
+
+  if (!track) {
+    return res.status(404).json({
+      error: "Subtitle track not found",
+      available: (entry.data.subtitles || []).map((t) => t.lang),
+    });
+  }
+
+  if (format === "json") {
+    return res.json({ videoId: entry.data.videoId, ...track });
+  }
+
+  const body = format === "srt" ? toSrt(track.cues) : toVtt(track.cues);
+  res.setHeader(
+    "Content-Type",
+    format === "srt"
+      ? "application/x-subrip; charset=utf-8"
+      : "text/vtt; charset=utf-8"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(
+      `${safeFileBase(entry.data.title)}.${track.lang}.${format}`,
+      "inline"
+    )
+  );
+  res.send(body);
+});
+
+// Download endpoint: streams yt-dlp output. Optional formatId.
+// Optional container=mp4|mkv|webm and vcodec=h264 remux / re-encode through
+// ffmpeg when the source does not match (see planDownload).
+// Optional subtitles=<lang> (+ auto=1) burns that caption track into the video.
+app.get(
+  "/api/video/download",
+  downloadLimiter,
+  downloadQuota,
+  async (req, res) => {
+    const vid = req.query.vid;
+    const formatId = req.query.formatId; // match your Android model naming if you want
+    if (!vid) return res.status(400).json({ error: "Missing 'vid' parameter" });
+
+    const container = req.query.container
+      ? String(req.query.container).toLowerCase()
+      : null;
+    if (container && !DOWNLOAD_CONTAINERS[container]) {
+      return res.status(400).json({
+        error: "Unsupported container",
+        allowed: Object.keys(DOWNLOAD_CONTAINERS),
+      });
+    }
+    const vcodec = req.query.vcodec
+      ? String(req.query.vcodec).toLowerCase()
+      : null;
+    if (vcodec && !DOWNLOAD_VCODECS.includes(vcodec)) {
+      return res.status(400).json({
+        error: "Unsupported vcodec",
+        allowed: DOWNLOAD_VCODECS,
+      });
+    }
+    // burn-in and vcodec=h264 both produce H.264, which WebM cannot hold
+    if (container === "webm" && (vcodec || req.query.subtitles)) {
+      return res.status(400).json({
+        error: "H.264 output needs container mp4 or mkv",
+      });
+    }
+
+    const entry = await metaCache.get(String(vid));
+    if (!entry || !entry.data)
+      return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+
+    try {
+      await assertMediaAllowed(entry, {
+        filesize: estimateDownloadSize(entry, formatId),
+      });
+    } catch (err) {
+      return sendApiError(res, err, "Download failed");
+    }
+
+    const { originalUrl, platform } = entry;
+    const platformArgs = getPlatformArgs(platform);
+    const plan = planDownload(entry, formatId, {
+      container,
+      vcodec,
+      burn: Boolean(req.query.subtitles),
+    });
+    const filename = `${safeFileBase(entry.data.title)}.${plan.ext}`;
+    const mime = mimeForExt(plan.ext);
+
+    // Repeat downloads come from disk, with Range support
+    const cacheKey = [
+      "download",
+      entry.data.videoId,
+      plan.selector,
+      plan.ext,
+      vcodec,
+      req.query.subtitles
+        ? `subs=${req.query.subtitles}:${parseAutoFlag(req.query.auto)}`
+        : null,
+    ]
+      .filter(Boolean)
+      .join(":");
+    const stored = mediaStore.get(cacheKey);
+    mCacheRequests.inc({ cache: "download", result: stored ? "hit" : "miss" });
+    if (stored) {
+      res.setHeader("Content-Disposition", contentDisposition(filename));
+      try {
+        return await serveVideoFile(stored.path, req, res, mime);
+      } catch (err) {
+        res.removeHeader("Content-Disposition");
+        return sendApiError(res, err, "Download failed");
+      }
+    }
+
+    // Streamed downloads have no length or ranges until a copy is stored;
+    // HEAD says so instead of starting yt-dlp
+    if (req.method === "HEAD") {
+      res.setHeader("Content-Disposition", contentDisposition(filename));
+      res.setHeader("Content-Type", mime);
+      res.setHeader("Accept-Ranges", "none");
+      return res.end();
+    }
+
+    let subPath = null;
+    if (req.query.subtitles) {
+      const lang = String(req.query.subtitles);
+      try {
+        const track = await getSubtitleCues(
+          entry,
+          lang,
+          parseAutoFlag(req.query.auto)
+        );
+        if (!track)
+          return res
+            .status(404)
+            .json({ error: "Subtitle track not found", lang });
+
+        subPath = tmpPath(
+          `subs_${safeFileId(entry.data.videoId)}_${Date.now()}.srt`
+        );
+        await fs.promises.writeFile(subPath, toSrt(track.cues));
+      } catch (err) {
+        return sendApiError(res, err, "Subtitle fetch failed");
+      }
+    }
+    // Bulk priority: downloads wait behind info and preview requests
+    const work = {
+      priority: "bulk",
+      platform,
+      signal: requestSignal(res),
+      label: `download ${entry.data.videoId}`,
+    };
+    let releaseYtDlp = null;
+    let releaseFfmpeg = () => {};
+    try {
+      releaseYtDlp = await ytDlpQueue.acquire(work);
+      if (plan.ffmpeg) releaseFfmpeg = await ffmpegQueue.acquire(work);
+    } catch (err) {
+      releaseYtDlp?.();
+      if (subPath) fs.unlink(subPath, () => {});
+      return sendApiError(res, err, "Download failed");
+    }
+
+    res.setHeader("Content-Disposition", contentDisposition(filename));
+    res.setHeader("Content-Type", mime);
+    res.setHeader("Accept-Ranges", "none");
+
+    const args = [
+      originalUrl,
+      "-o",
+      "-",
+      "-f",
+      plan.selector,
+      ...(plan.mergeFormat ? ["--merge-output-format", plan.mergeFormat] : []),
+      ...maxFilesizeArgs(),
+      ...playlistItemArgs(entry),
+      "--no-warnings",
+      "--no-progress",
+      ...platformArgs,
+    ];
+
+    // The deadline covers the whole transfer, ffmpeg included
+    const run = (tool) => ({
+      kind: "download",
+      timeoutMs: CONFIG.download.timeoutMs,
+      onTimeout: () =>
+        fail(
+          processError(tool, null, {
+            timedOut: true,
+            timeoutMs: CONFIG.download.timeoutMs,
+          })
+        ),
+    });
+    const proc = spawnYtDlp(
+      args,
+      { stdio: ["ignore", "pipe", "pipe"] },
+      run("yt-dlp")
+    );
+
+    // Nothing is sent before the first output chunk, so a failure before
+    // that still gets a classified error response. After it, the response
+    // is aborted so the client never keeps a truncated file.
+    let started = false;
+    let failure = null;
+    let stderr = "";
+
+    // The stream is also written to the media store and kept only when the
+    // whole file came through; one known to be too large for it is not
+    const cacheable = mediaStore.accepts(estimateDownloadSize(entry, formatId));
+    let sink = null;
+    function finishCache(ok) {
+      if (!sink) return;
+      if (!ok) return sink.discard();
+      sink
+        .commit()
+        .catch((err) =>
+          console.warn(`⚠️ Media cache write failed: ${err.message}`)
+        );
+    }
+
+    function fail(err) {
+      if (failure) return;
+      failure = err;
+      finishCache(false);
+      recordFailure(err, {
+        platform,
+        kind:
+          err.tool !== "ffmpeg" ? "download" : subPath ? "burn" : "transcode",
+      });
+      if (started) {
+        console.error(
+          `❌ Download aborted [${err.code}]:`,
+          err.details || err.message
+        );
+        res.destroy();
+        return;
+      }
+      res.removeHeader("Content-Disposition");
+      res.removeHeader("Content-Type");
+      res.removeHeader("Accept-Ranges");
+      sendApiError(res, err, "Download failed");
+    }
+
+    // Remux / re-encode / burn-in: yt-dlp -> ffmpeg -> response
+    let ffmpeg = null;
+    if (plan.ffmpeg) {
+      ffmpeg = spawnFfmpeg(
+        buildDownloadFfmpegArgs(plan.ffmpeg, subPath),
+        { stdio: ["pipe", "pipe", "pipe"] },
+        run("ffmpeg")
+      );
+
+      let ffErr = "";
+      ffmpeg.stderr.on("data", (d) => {
+        ffErr = (ffErr + d.toString("utf8")).slice(-8000);
+      });
+      ffmpeg.stdin.on("error", () => {}); // EPIPE when ffmpeg exits first
+      ffmpeg.on("error", (err) => {
+        fail(processError("ffmpeg", err));
+        if (!proc.killed) proc.kill("SIGKILL");
+      });
+      ffmpeg.on("close", (code) => {
+        releaseFfmpeg();
+        if (subPath) fs.unlink(subPath, () => {});
+        finishCache(code === 0 && !failure);
+        if (code !== 0 && code !== null) {
+          fail(ffmpegError(ffErr, { exitCode: code }));
+        } else if (code === 0 && !started) {
+          fail(
+            new ApiError("PROCESSING_FAILED", {
+              tool: "ffmpeg",
+              details: "download ffmpeg produced no output",
+            })
+          );
+        }
+      });
+
+      proc.stdout.pipe(ffmpeg.stdin);
+    }
+
+    const output = ffmpeg ? ffmpeg.stdout : proc.stdout;
+    output.once("data", (chunk) => {
+      if (failure) return output.resume(); // error already sent; drain
+      started = true;
+      output.pause();
+      output.unshift(chunk);
+      output.on("data", (c) => mDownloadBytes.inc({ platform }, c.length));
+
+      if (cacheable) {
+        sink = mediaStore.writer(cacheKey, { ext: plan.ext });
+        output.pipe(sink.stream);
+      }
+
+      pipeline(output, res, (err) => {
+        if (!err) return;
+        if (err.code === "EPIPE" || err.code === "ECONNRESET") return;
+        if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+        console.error("download pipeline error:", err);
+      });
+    });
+
+    proc.stderr.on("data", (d) => {
+      const msg = d.toString("utf8");
+      stderr = (stderr + msg).slice(-8000);
+      if (msg.includes("ERROR") || msg.includes("WARNING")) {
+        console.error("[yt-dlp]", msg.trim());
+      }
+    });
+
+    // "close" follows, and releases the slot
+    proc.on("error", (err) => fail(processError("yt-dlp", err)));
+
+    // code is null when we killed it (client went away, or timed out)
+    proc.on("close", (code) => {
+      releaseYtDlp();
+      if (!ffmpeg) finishCache(code === 0 && started && !failure);
+      if (code !== 0 && code !== null) {
+        fail(ytDlpError(stderr, { exitCode: code }));
+      } else if (code === 0 && !ffmpeg && !started) {
+        // e.g. --max-filesize, which skips the file and still exits 0
+        fail(
+          classifyYtDlpOutput(stderr)
+            ? ytDlpError(stderr, { exitCode: code })
+            : new ApiError("UPSTREAM_ERROR", {
+                tool: "yt-dlp",
+                details: "yt-dlp exited without output",
+              })
+        );
+      }
+    });
+
+    req.on("close", () => {
+      try {
+        proc.stdout.unpipe(ffmpeg ? ffmpeg.stdin : res);
+      } catch {}
+      if (!proc.killed) proc.kill("SIGKILL");
+      if (ffmpeg && !ffmpeg.killed) ffmpeg.kill("SIGKILL");
+    });
+  }
+);
+
+// Download jobs: yt-dlp runs server-side into a temp file; the client polls
+// for progress and fetches the finished file with Range support.
+app.post("/api/jobs", downloadLimiter, async (req, res) => {
+  const { vid, url, formatId, callbackUrl } = req.body || {};
+  if (!vid && !url)
+    return res.status(400).json({ error: "Missing 'vid' or 'url' field" });
+  if (url && !validateUrl(String(url)))
+    return res.status(400).json({ error: "Invalid URL format" });
+
+  // Live streams are recorded for recordSeconds instead of downloaded
+  let recordSeconds = null;
+  if (req.body.recordSeconds != null) {
+    recordSeconds = Number(req.body.recordSeconds);
+    if (
+      !Number.isInteger(recordSeconds) ||
+      recordSeconds <= 0 ||
+      recordSeconds > CONFIG.live.maxRecordSeconds
+    ) {
+      return res.status(400).json({
+        error: "Invalid 'recordSeconds' field",
+        max: CONFIG.live.maxRecordSeconds,
+      });
+    }
+  }
+
+  let callback;
+  try {
+    callback = await resolveCallback(req, callbackUrl);
+  } catch (err) {
+    return sendApiError(res, err, "Invalid callbackUrl");
+  }
+
+  let entry;
+  try {
+    if (vid) {
+      entry = await metaCache.get(String(vid));
+    } else {
+      const data = await extractOnce(String(url), {
+        signal: requestSignal(res),
+      });
+      entry = await metaCache.get(data.videoId);
+    }
+  } catch (err) {
+    return sendApiError(res, err, "Extraction failed");
+  }
+
+  if (!entry || !entry.data)
+    return sendApiError(res, new ApiError("VIDEO_ID_EXPIRED"));
+  if (recordSeconds && !entry.data.isLive) {
+    return res
+      .status(400)
+      .json({ error: "'recordSeconds' is only for live streams" });
+  }
+
+  try {
+    await assertMediaAllowed(entry, {
+      filesize: estimateDownloadSize(entry, formatId),
+      live: Boolean(recordSeconds),
+    });
+  } catch (err) {
+    return sendApiError(res, err, "Download failed");
+  }
+
+  const job = jobs.create({
+    clientId: req.apiClient?.id ?? null,
+    videoId: entry.data.videoId,
+    formatId: formatId ? String(formatId) : null,
+    title: entry.data.title,
+    recordSeconds,
+  });
+
+  trackFailures(
+    { platform: entry.platform, kind: recordSeconds ? "record" : "job" },
+    recordSeconds ? runRecordJob(job, entry) : runDownloadJob(job, entry)
+  ).then(
+    () => notify(callback, "download.completed", toPublicJob(job)),
+    (err) => {
+      console.error(
+        `❌ Job ${job.id} failed [${err.code}]:`,
+        err.details || err.message
+      );
+      notify(callback, "download.failed", toPublicJob(job));
+    }
+  );
+
+  res.status(202).json(toPublicJob(job));
+});
+
+// Webhook delivery log: the caller's own deliveries (admins see all),
+// newest first. ?status=pending|delivered|failed, ?limit= (max 200)
+app.get("/api/webhooks/deliveries", (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  const clientId = req.apiClient?.admin ? null : req.apiClient?.id;
+  res.json({ deliveries: webhooks.list({ clientId, status, limit }) });
+});
+
+app.get("/api/webhooks/deliveries/:id", (req, res) => {
+  const d = webhooks.get(req.params.id);
+  if (!d || (!req.apiClient?.admin && d.clientId !== req.apiClient?.id))
+    return res.status(404).json({ error: "Delivery not found" });
+  res.json(toPublicDelivery(d));
+});
+
+// A job is visible to the client that created it (and to admins); to anyone
+// else it does not exist
+function findClientJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || (!req.apiClient?.admin && job.clientId !== req.apiClient?.id))
+    return null;
+  return job;
+}
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = findClientJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found or expired" });
+  res.json(toPublicJob(job));
+});
+
+app.get("/api/jobs/:id/file", downloadQuota, async (req, res) => {
+  const job = findClientJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found or expired" });
+  if (job.status !== "completed" || !job.filePath) {
+    return res
+      .status(409)
+      .json({ error: "Job not completed", status: job.status });
+  }
+
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(`${safeFileBase(job.title)}.${job.ext}`)
+  );
+  try {
+    await serveVideoFile(job.filePath, req, res, mimeForExt(job.ext));
+  } catch (err) {
+    res.removeHeader("Content-Disposition");
+    if (err.code === "ENOENT") {
+      return res.status(410).json({ error: "Job file expired" });
+    }
+    sendApiError(res, err, "Job file failed");
+  }
+});
+
+// ---------------------------
+// ADMIN: COOKIE JARS
+// ---------------------------
+// Jars are uploaded as raw Netscape cookie files (text/plain body).
+const cookieBody = express.text({ type: "*/*", limit: "1mb" });
+
+app.use("/api/admin", requireAdmin);
+
+app.param("platform", (req, res, next, platform) => {
+  if (!PLATFORMS[platform])
+    return res.status(404).json({ error: "Unknown platform", platform });
+  next();
+});
+
+app.param("jarId", (req, res, next, jarId) => {
+  req.cookieJar = cookiePool.get(req.params.platform, jarId);
+  if (!req.cookieJar)
+    return res.status(404).json({ error: "Cookie jar not found" });
+  next();
+});
+
+function cookieFileFromBody(req, res) {
+  if (typeof req.body === "string" && req.body.trim()) return req.body;
+  res
+    .status(400)
+    .json({ error: "Send the cookie file as the text/plain request body" });
+  return null;
+}
+
+app.get("/api/admin/cookies", (req, res) => {
+  const platforms = {};
+  for (const [name, cfg] of Object.entries(PLATFORMS)) {
+    platforms[name] = {
+      jars: cookiePool.list(name),
+      fallbackFile: Boolean(
+        fallbackCookiePath(cfg) && fs.existsSync(fallbackCookiePath(cfg))
+      ),
+    };
+  }
+  res.json({ platforms });
+});
+
+// Dry run: report what an upload would say without storing anything
+app.post("/api/admin/cookies/:platform/validate", cookieBody, (req, res) => {
+  const text = cookieFileFromBody(req, res);
+  if (text == null) return;
+  res.json(validateCookieJar(text, PLATFORMS[req.params.platform]));
+});
+
+app.post("/api/admin/cookies/:platform", cookieBody, async (req, res) => {
+  const text = cookieFileFromBody(req, res);
+  if (text == null) return;
+
+  const name = req.query.name ? String(req.query.name).slice(0, 100) : "";
+  const { jar, report } = await cookiePool.add(req.params.platform, text, name);
+  if (!jar)
+    return res.status(400).json({ error: "Invalid cookie file", ...report });
+
+  console.log(`🔑 Cookie jar ${jar.platform}/${jar.id} added (${jar.name})`);
+  res.status(201).json({ jar: toPublicJar(jar), warnings: report.warnings });
+});
+
+// Rotation: replaces the cookies of a jar and puts it back in service
+app.put("/api/admin/cookies/:platform/:jarId", cookieBody, async (req, res) => {
+  const text = cookieFileFromBody(req, res);
+  if (text == null) return;
+
+  const { jar, report } = await cookiePool.replace(req.cookieJar, text);
+  if (!jar)
+    return res.status(400).json({ error: "Invalid cookie file", ...report });
+
+  console.log(`🔑 Cookie jar ${jar.platform}/${jar.id} rotated`);
+  res.json({ jar: toPublicJar(jar), warnings: report.warnings });
+});
+
+app.post("/api/admin/cookies/:platform/:jarId/quarantine", async (req, res) => {
+  const reason = String(req.body?.reason || "quarantined by admin");
+  const jar = await cookiePool.quarantine(req.cookieJar, reason);
+  res.json({ jar: toPublicJar(jar) });
+});
+
+app.delete(
+  "/api/admin/cookies/:platform/:jarId/quarantine",
+  async (req, res) => {
+    const jar = await cookiePool.release(req.cookieJar);
+    res.json({ jar: toPublicJar(jar) });
+  }
+);
+
+app.delete("/api/admin/cookies/:platform/:jarId", async (req, res) => {
+  await cookiePool.remove(req.cookieJar);
+  res.status(204).end();
+});
+
+// Work queues: running tasks first, then queued ones in start order; and
+// the children actually running, oldest first
+app.get("/api/admin/queue", (req, res) => {
+  res.json({
+    queues: WORK_QUEUES.map((queue) => ({
+      name: queue.name,
+      ...queue.stats(),
+      tasks: queue.list(),
+    })),
+    processes: supervisor.list(),
+  });
+});
+
+// Only queued tasks can be cancelled; their callers get a CANCELLED error
+app.delete("/api/admin/queue/:taskId", (req, res) => {
+  const { taskId } = req.params;
+  for (const queue of WORK_QUEUES) {
+    const result = queue.cancel(taskId, "cancelled by an admin");
+    if (result === "cancelled")
+      return res.json({ id: taskId, cancelled: true });
+    if (result === "running") {
+      return res.status(409).json({ error: "Task is already running" });
+    }
+  }
+  res.status(404).json({ error: "Task not found" });
+});
+
+// ---------------------------
+// STARTUP
+// ---------------------------
+function checkBinaryExists(p) {
+  try {
+    return fs.existsSync(p);
+  } catch {
+    return false;
+  }
+}
+
+// Disk state the routes rely on. startup() runs it before listening; tests
+// call it on an app they listen with themselves.
+function prepare() {
+  const media = mediaStore.load();
+  sweepTmpFiles();
+  return { media };
+}
+
+// ---------------------------
+// SHUTDOWN
+// ---------------------------
+// Stops taking connections and gives in-flight requests drainMs to finish.
+// Then the children still running are stopped (whatever waits on them
+// fails), the connections left are closed and the temp files removed.
+async function shutdown(server, { drainMs = CONFIG.shutdown.drainMs } = {}) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const closed = new Promise((resolve) => server.close(() => resolve()));
+  server.closeIdleConnections();
+
+  let timer;
+  const drained = await Promise.race([
+    closed.then(() => true),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, drainMs, false);
+    }),
+  ]);
+  clearTimeout(timer);
+  if (!drained) {
+    console.warn(
+      `⚠️ Requests still running after ${drainMs}ms, closing them (${supervisor.size} child processes)`
+    );
+  }
+
+  await supervisor.stopAll();
+  server.closeAllConnections();
+  await closed;
+
+  removeOwnTmpFiles();
+  if (redis) await redis.quit().catch(() => {});
+}
+
+async function startup() {
   if (!checkBinaryExists(CONFIG.ytDlpPath)) {
     console.error(`❌ yt-dlp missing at ${CONFIG.ytDlpPath}`);
     process.exit(1);
   }
+  if (!authRequired) {
+    console.warn(
+      "⚠️ No API keys configured: /api is open (limits apply per IP)"
+    );
+  } else {
+    console.log(`🔑 API key auth enabled (${apiKeys.size} keys)`);
+  }
+  console.log(
+    `✅ Platforms: ${Object.keys(PLATFORMS).join(", ")}` +
+      (platformRegistry.generic.enabled ? " (+ generic extractor)" : "")
+  );
+  for (const { platform, active, quarantined } of cookiePool.counts()) {
+    if (active || quarantined) {
+      console.log(
+        `🔑 Cookie jars for ${platform}: ${active} active, ${quarantined} quarantined`
+      );
+    }
+  }
   if (!checkBinaryExists(CONFIG.ffmpegPath)) {
     console.warn(
       `⚠️ ffmpeg missing at ${CONFIG.ffmpegPath} (preview disabled)`
     );
   }
 
+  const { media } = prepare();
+  console.log(
+    `✅ Media cache: ${media.entries} files, ${sizeLabel(media.bytes)} of ${sizeLabel(
+      CONFIG.mediaCache.maxBytes
+    )} (${CONFIG.mediaCache.dir})`
+  );
+
   setInterval(cleanupCache, CONFIG.cacheCleanupIntervalMs);
 
-  app.listen(port, "0.0.0.0", () => {
+  const server = app.listen(port, "0.0.0.0", () => {
     console.log(`🚀 V2 server listening on :${port}`);
   });
+
+  // A second signal gets the default handling and ends the process at once
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      console.log(`🛑 ${signal}: draining connections`);
+      shutdown(server).then(
+        () => {
+          console.log("✅ Shutdown complete");
+          process.exit(0);
+        },
+        (err) => {
+          console.error("❌ Shutdown failed:", err);
+          process.exit(1);
+        }
+      );
+    });
+  }
 }
 
-startup();
+module.exports = {
+  app,
+  CONFIG,
+  prepare,
+  startup,
+  shutdown,
+  supervisor,
+  cleanupCache,
+  metaCache,
+  mediaStore,
+  extractOnce,
+  buildVideoInfo,
+  pickPreviewDirectUrl,
+  serveVideoFile,
+};
+
+// `node index.js` serves; require("./index") only builds the app
+if (require.main === module) startup();
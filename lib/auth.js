@@ -0,0 +1,257 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
+
+// ---------------------------
+// API KEYS
+// ---------------------------
+// Keys file: { "keys": [{ "key": "...", "name": "android", "rpm": 120,
+//   "previewRpm": 30, "downloadRpm": 10, "dailyDownloadBytes": 10737418240 }] }
+// Missing limits fall back to the defaults; "disabled": true revokes a key;
+// "admin": true also opens /api/admin; "webhookSecret" signs that key's
+// webhook callbacks instead of WEBHOOK_SECRET.
+// API_KEYS (comma-separated) adds keys that use the defaults.
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Returns Map<sha256(key), client>; raw keys are never kept around
+function loadApiKeys({ keysFile, keysEnv, defaults }) {
+  const entries = [];
+
+  if (keysFile && fs.existsSync(keysFile)) {
+    const json = JSON.parse(fs.readFileSync(keysFile, "utf8"));
+    entries.push(...(Array.isArray(json) ? json : json.keys || []));
+  }
+  for (const key of String(keysEnv || "").split(",")) {
+    if (key.trim()) entries.push({ key: key.trim() });
+  }
+
+  const keys = new Map();
+  for (const { key, disabled, ...limits } of entries) {
+    if (!key || disabled) continue;
+    const hash = hashKey(key);
+    keys.set(hash, {
+      ...defaults,
+      ...limits,
+      id: limits.name || `key_${hash.slice(0, 8)}`,
+    });
+  }
+  return keys;
+}
+
+// X-API-Key header, "Authorization: Bearer <key>", or ?api_key=
+function extractApiKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+
+  const auth = req.get("authorization") || "";
+  const m = /^Bearer\s+(.+)$/i.exec(auth);
+  if (m) return m[1].trim();
+
+  return req.query.api_key ? String(req.query.api_key) : null;
+}
+
+// Sets req.apiClient. Without required keys every caller is an anonymous
+// client identified by IP, so the same limits still apply per address.
+// tokenClientId(req): the client id a signed token in the request was issued
+// to (HLS proxy URIs, which players fetch without headers), or null; without
+// a key in the request, that client is the caller.
+function createAuthMiddleware({
+  keys,
+  required,
+  defaults,
+  tokenClientId = () => null,
+}) {
+  const byId = new Map([...keys.values()].map((client) => [client.id, client]));
+
+  return (req, res, next) => {
+    const provided = extractApiKey(req);
+    const tokenClient = provided ? null : tokenClientId(req);
+    if (tokenClient) {
+      const client = required
+        ? byId.get(tokenClient)
+        : { ...defaults, id: tokenClient };
+      if (client) {
+        req.apiClient = client;
+        return next();
+      }
+    }
+
+    if (!required) {
+      req.apiClient = { ...defaults, id: `ip:${ipKeyGenerator(req.ip)}` };
+      return next();
+    }
+
+    const client = provided ? keys.get(hashKey(provided)) : null;
+    if (!client) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="api.imvid"');
+      return res
+        .status(401)
+        .json({ error: provided ? "Invalid API key" : "Missing API key" });
+    }
+
+    req.apiClient = client;
+    next();
+  };
+}
+
+// Only keys flagged "admin" in the keys file (never anonymous clients)
+function requireAdmin(req, res, next) {
+  if (req.apiClient?.admin === true) return next();
+  res.status(403).json({ error: "Admin API key required" });
+}
+
+// ---------------------------
+// RATE LIMITS (requests per minute, per client)
+// ---------------------------
+// limitField: which client property holds the limit ("rpm", "previewRpm", ...)
+function createRateLimiter({ name, limitField }) {
+  return rateLimit({
+    windowMs: 60_000,
+    limit: (req) => Number(req.apiClient?.[limitField]) || 0,
+    keyGenerator: (req) => `${name}:${req.apiClient.id}`,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    identifier: name,
+    // 0 / missing limit means unlimited
+    skip: (req) => !Number(req.apiClient?.[limitField]),
+    handler: (req, res, next, options) => {
+      res.status(options.statusCode).json({
+        error: "Rate limit exceeded",
+        limit: name,
+        retryAfter: Number(res.getHeader("Retry-After")) || null,
+      });
+    },
+  });
+}
+
+// ---------------------------
+// DAILY DOWNLOAD BYTE QUOTA
+// ---------------------------
+const DAY_MS = 24 * 60 * 60_000;
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  return Math.max(1, Math.ceil((DAY_MS - (now % DAY_MS)) / 1000));
+}
+
+// Meters the bytes of every response body that passes through, per client
+// per UTC day, in a cache store (shared between replicas with Redis). Bytes
+// are counted as they are written and flushed to the store every flushBytes,
+// so parallel transfers see each other; a transfer that would go past the
+// quota is cut off (the response is destroyed, like a client disconnect).
+// This instance also keeps its own count: when the store cannot answer
+// (Redis down) the quota still holds for what passed through here, rather
+// than every transfer starting from zero.
+function createDownloadQuota({ store, flushBytes = 1024 * 1024 }) {
+  const local = new Map(); // key -> bytes, today's keys only
+  let localDay = utcDay();
+
+  // -> usage after adding n bytes (n = 0 just reads it)
+  async function addUsage(key, n) {
+    const day = utcDay();
+    if (day !== localDay) {
+      local.clear();
+      localDay = day;
+    }
+    const mine = (local.get(key) || 0) + n;
+    local.set(key, mine);
+    const shared = await store.incrBy(key, n, 2 * DAY_MS);
+    return Math.max(shared ?? 0, mine);
+  }
+
+  return async (req, res, next) => {
+    const limit = Number(req.apiClient?.dailyDownloadBytes) || 0;
+    if (!limit) return next();
+
+    const key = `${req.apiClient.id}:${utcDay()}`;
+    const used = await addUsage(key, 0);
+    if (used >= limit) {
+      res.setHeader("Retry-After", String(secondsUntilUtcMidnight()));
+      return res.status(429).json({
+        error: "Daily download quota exceeded",
+        quotaBytes: limit,
+        usedBytes: used,
+      });
+    }
+    res.setHeader("X-Download-Quota-Remaining", String(limit - used));
+
+    // total: the client's usage as far as this transfer knows it (the
+    // store's last answer plus what was written since)
+    let total = used;
+    let pending = 0;
+    let exceeded = false;
+
+    const abort = () => {
+      if (exceeded) return;
+      exceeded = true;
+      console.warn(`⚠️ Download quota exceeded for ${req.apiClient.id}`);
+      res.destroy();
+    };
+
+    const flush = () => {
+      const n = pending;
+      pending = 0;
+      if (!n) return;
+      addUsage(key, n)
+        .then((value) => {
+          total = Math.max(total, value);
+          if (total > limit) abort();
+        })
+        .catch(() => {});
+    };
+
+    // false: the chunk would go past the quota and must not be sent
+    const charge = (chunk, encoding) => {
+      if (exceeded) return false;
+      if (!chunk || typeof chunk === "function") return true;
+      const n = Buffer.isBuffer(chunk)
+        ? chunk.length
+        : Buffer.byteLength(
+            chunk,
+            typeof encoding === "string" ? encoding : "utf8"
+          );
+      if (total + n > limit) {
+        abort();
+        return false;
+      }
+      total += n;
+      pending += n;
+      if (pending >= flushBytes) flush();
+      return true;
+    };
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, cb) {
+      if (!charge(chunk, encoding)) return false;
+      return write.call(this, chunk, encoding, cb);
+    };
+    res.end = function (chunk, encoding, cb) {
+      if (!charge(chunk, encoding)) return this;
+      return end.call(this, chunk, encoding, cb);
+    };
+
+    res.on("close", flush);
+
+    next();
+  };
+}
+
+module.exports = {
+  hashKey,
+  loadApiKeys,
+  extractApiKey,
+  createAuthMiddleware,
+  requireAdmin,
+  createRateLimiter,
+  createDownloadQuota,
+  secondsUntilUtcMidnight,
+};
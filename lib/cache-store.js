@@ -0,0 +1,239 @@
+"use strict";
+
+const crypto = require("crypto");
+const { LRUCache } = require("lru-cache");
+const { ApiError } = require("./errors");
+
+// ---------------------------
+// CACHE STORE INTERFACE
+// ---------------------------
+// Every backend exposes the same async API so callers never care where the
+// data lives:
+//   get(key)                 -> value | null
+//   set(key, value)          -> stored with the store's TTL
+//   delete(key)
+//   size()                   -> number | null (null when too costly to count)
+//   prune()                  -> drop expired entries (no-op if TTL is native)
+//   incrBy(key, n, ttlMs)    -> new counter value (TTL set on first increment),
+//                               null when the backend could not be reached
+//   acquireLock(key, ttlMs)  -> token | null (null = someone else holds it)
+//   releaseLock(key, token)
+
+// ---------------------------
+// MEMORY BACKEND (bounded LRU)
+// ---------------------------
+function createMemoryStore({ ttlMs, maxEntries }) {
+  const lru = new LRUCache({ max: maxEntries, ttl: ttlMs });
+  const locks = new Map(); // key -> { token, expiresAt }
+  const counters = new Map(); // key -> { value, expiresAt }
+
+  return {
+    backend: "memory",
+    async get(key) {
+      return lru.get(key) ?? null;
+    },
+    async set(key, value) {
+      lru.set(key, value);
+    },
+    async delete(key) {
+      lru.delete(key);
+    },
+    async size() {
+      return lru.size;
+    },
+    async prune() {
+      lru.purgeStale();
+      const now = Date.now();
+      for (const [key, lock] of locks.entries()) {
+        if (lock.expiresAt <= now) locks.delete(key);
+      }
+      for (const [key, counter] of counters.entries()) {
+        if (counter.expiresAt <= now) counters.delete(key);
+      }
+    },
+    async incrBy(key, n, counterTtlMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { value: 0, expiresAt: now + counterTtlMs };
+        counters.set(key, counter);
+      }
+      counter.value += n;
+      return counter.value;
+    },
+    async acquireLock(key, ttlMs) {
+      const held = locks.get(key);
+      if (held && held.expiresAt > Date.now()) return null;
+      const token = crypto.randomUUID();
+      locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+    async releaseLock(key, token) {
+      if (locks.get(key)?.token === token) locks.delete(key);
+    },
+  };
+}
+
+// ---------------------------
+// REDIS BACKEND (shared between replicas)
+// ---------------------------
+// Only delete the lock if we still own it (it may have expired and been
+// taken by another replica in the meantime).
+const RELEASE_LOCK_LUA = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+// The TTL is only set by the increment that created the counter
+const INCR_WITH_TTL_LUA = `
+local v = redis.call("incrby", KEYS[1], ARGV[1])
+if redis.call("pttl", KEYS[1]) < 0 then
+  redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return v`;
+
+// Redis trouble degrades to "cache miss" rather than failing requests; a lock
+// that cannot be taken because Redis is down is treated as granted. Counters
+// answer null instead, so a limit never mistakes an outage for zero.
+function createRedisStore({ redis, namespace, ttlMs }) {
+  const prefix = `imvid:${namespace}:`;
+  const lockPrefix = `imvid:lock:${namespace}:`;
+
+  function warn(op, err) {
+    console.warn(`⚠️ Redis ${op} failed (${namespace}): ${err.message}`);
+  }
+
+  return {
+    backend: "redis",
+    async get(key) {
+      try {
+        const raw = await redis.get(prefix + key);
+        return raw ? JSON.parse(raw) : null;
+      } catch (err) {
+        warn("get", err);
+        return null;
+      }
+    },
+    async set(key, value) {
+      try {
+        await redis.set(prefix + key, JSON.stringify(value), "PX", ttlMs);
+      } catch (err) {
+        warn("set", err);
+      }
+    },
+    async delete(key) {
+      try {
+        await redis.del(prefix + key);
+      } catch (err) {
+        warn("del", err);
+      }
+    },
+    async size() {
+      return null;
+    },
+    async prune() {},
+    async incrBy(key, n, counterTtlMs) {
+      try {
+        const value = await redis.eval(
+          INCR_WITH_TTL_LUA,
+          1,
+          prefix + key,
+          n,
+          counterTtlMs
+        );
+        return Number(value);
+      } catch (err) {
+        warn("incrby", err);
+        return null;
+      }
+    },
+    async acquireLock(key, lockTtlMs) {
+      const token = crypto.randomUUID();
+      try {
+        const ok = await redis.set(
+          lockPrefix + key,
+          token,
+          "PX",
+          lockTtlMs,
+          "NX"
+        );
+        return ok === "OK" ? token : null;
+      } catch (err) {
+        warn("lock", err);
+        return token;
+      }
+    },
+    async releaseLock(key, token) {
+      try {
+        await redis.eval(RELEASE_LOCK_LUA, 1, lockPrefix + key, token);
+      } catch (err) {
+        warn("unlock", err);
+      }
+    },
+  };
+}
+
+function createRedisClient(url) {
+  const Redis = require("ioredis");
+  const redis = new Redis(url, {
+    maxRetriesPerRequest: 2,
+    enableOfflineQueue: true,
+  });
+  redis.on("error", (err) => console.warn(`⚠️ Redis: ${err.message}`));
+  return redis;
+}
+
+function createCacheStore({ redis, namespace, ttlMs, maxEntries }) {
+  if (redis) return createRedisStore({ redis, namespace, ttlMs });
+  return createMemoryStore({ ttlMs, maxEntries });
+}
+
+// ---------------------------
+// DISTRIBUTED DEDUPE
+// ---------------------------
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs compute() on one replica at a time for `key`. Everyone else waits for
+// the lock holder to publish its result (seen through lookup()) and returns
+// that. If the holder fails or dies, the lock frees up (release or TTL) and
+// the next waiter computes instead.
+async function runExclusive(
+  store,
+  key,
+  { lookup, compute, lockTtlMs, pollMs = 250 }
+) {
+  const deadline = Date.now() + lockTtlMs * 2;
+
+  for (;;) {
+    const token = await store.acquireLock(key, lockTtlMs);
+    if (token) {
+      try {
+        // The previous holder may have published between our poll and lock
+        const hit = await lookup();
+        if (hit) return hit;
+        return await compute();
+      } finally {
+        await store.releaseLock(key, token);
+      }
+    }
+
+    await sleep(pollMs);
+    const hit = await lookup();
+    if (hit) return hit;
+
+    if (Date.now() > deadline) {
+      throw new ApiError("UPSTREAM_TIMEOUT", {
+        details: `Timed out waiting for in-flight work on ${key}`,
+      });
+    }
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createRedisClient,
+  createCacheStore,
+  runExclusive,
+};
@@ -0,0 +1,333 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { classifyYtDlpOutput } = require("./errors");
+
+// ---------------------------
+// NETSCAPE COOKIE FILES
+// ---------------------------
+// One cookie per line, 7 tab-separated fields:
+//   domain  includeSubdomains  path  secure  expires  name  value
+// "#HttpOnly_" lines are cookies too; any other "#" line is a comment.
+
+function parseNetscapeCookies(text) {
+  const cookies = [];
+  const badLines = [];
+
+  String(text)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((line, i) => {
+      let l = line;
+      if (l.startsWith("#HttpOnly_")) l = l.slice("#HttpOnly_".length);
+      else if (!l.trim() || l.startsWith("#")) return;
+
+      const f = l.split("\t");
+      if (f.length !== 7 || !/^-?\d+(\.\d+)?$/.test(f[4])) {
+        badLines.push(i + 1);
+        return;
+      }
+      cookies.push({
+        domain: f[0].replace(/^\./, "").toLowerCase(),
+        name: f[5],
+        expires: Number(f[4]), // seconds, 0 = session cookie
+      });
+    });
+
+  return { cookies, badLines };
+}
+
+// platform: { cookieDomains, loginCookies } (login cookies: any one of them)
+// Returns { ok, errors, warnings, cookieCount, expiresAt (ms | null) }
+function validateCookieJar(text, platform, now = Date.now()) {
+  const { cookieDomains = [], loginCookies = [] } = platform;
+  const { cookies, badLines } = parseNetscapeCookies(text);
+  const errors = [];
+  const warnings = [];
+
+  if (badLines.length) {
+    warnings.push(
+      `Skipped malformed lines: ${badLines.slice(0, 10).join(", ")}${
+        badLines.length > 10 ? ", ..." : ""
+      }`
+    );
+  }
+
+  const forPlatform = cookies.filter((c) =>
+    cookieDomains.some((d) => c.domain === d || c.domain.endsWith(`.${d}`))
+  );
+  const live = forPlatform.filter(
+    (c) => c.expires <= 0 || c.expires * 1000 > now
+  );
+  const login = live.filter((c) => loginCookies.includes(c.name));
+
+  if (!forPlatform.length) {
+    errors.push(`No cookies for ${cookieDomains.join(", ")}`);
+  } else if (!live.length) {
+    errors.push("Every cookie has expired");
+  } else if (loginCookies.length && !login.length) {
+    errors.push(
+      `No login cookie found (expected one of: ${loginCookies.join(", ")})`
+    );
+  }
+
+  const expiries = login.filter((c) => c.expires > 0).map((c) => c.expires);
+  const expiresAt = expiries.length ? Math.min(...expiries) * 1000 : null;
+  if (expiresAt && expiresAt - now < 7 * 24 * 60 * 60_000) {
+    warnings.push("Login cookies expire within 7 days");
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    cookieCount: live.length,
+    expiresAt,
+  };
+}
+
+// ---------------------------
+// COOKIE JAR POOL
+// ---------------------------
+// <dir>/<platform>/<id>.txt is the jar yt-dlp reads (and writes refreshed
+// cookies back to); <id>.json next to it keeps the metadata, including
+// quarantine, across restarts. Active jars are handed out round-robin.
+
+const JAR_ID_RE = /^[a-f0-9]{12}$/;
+
+// yt-dlp says so explicitly when a session has been revoked
+const LOGGED_OUT_RE =
+  /cookies are no longer valid|cookies? (?:have|has) expired|session (?:has )?expired/i;
+
+function toPublicJar(jar) {
+  return {
+    id: jar.id,
+    platform: jar.platform,
+    name: jar.name,
+    status: jar.quarantinedAt ? "quarantined" : "active",
+    cookieCount: jar.cookieCount,
+    expiresAt: jar.expiresAt,
+    uses: jar.uses,
+    lastUsedAt: jar.lastUsedAt,
+    lastOkAt: jar.lastOkAt,
+    quarantinedAt: jar.quarantinedAt,
+    quarantineReason: jar.quarantineReason,
+    addedAt: jar.addedAt,
+    updatedAt: jar.updatedAt,
+  };
+}
+
+// platforms: { name: { cookieDomains, loginCookies } }
+// quarantineAfter: consecutive login-wall failures before a jar is pulled
+function createCookiePool({ dir, platforms, quarantineAfter = 3 }) {
+  const jars = new Map(Object.keys(platforms).map((p) => [p, new Map()]));
+  const cursors = new Map(); // platform -> round-robin position
+  const byPath = new Map(); // jar file path -> jar
+
+  function filesFor(platform, id) {
+    const base = path.join(dir, platform, id);
+    return { txt: `${base}.txt`, meta: `${base}.json` };
+  }
+
+  function register(platform, id, meta = {}) {
+    const jar = {
+      id,
+      platform,
+      path: filesFor(platform, id).txt,
+      name: meta.name || id,
+      cookieCount: meta.cookieCount ?? null,
+      expiresAt: meta.expiresAt ?? null,
+      quarantinedAt: meta.quarantinedAt ?? null,
+      quarantineReason: meta.quarantineReason ?? null,
+      addedAt: meta.addedAt ?? Date.now(),
+      updatedAt: meta.updatedAt ?? Date.now(),
+      // runtime only
+      uses: 0,
+      lastUsedAt: null,
+      lastOkAt: null,
+      loginFailures: 0,
+    };
+    jars.get(platform).set(id, jar);
+    byPath.set(jar.path, jar);
+    return jar;
+  }
+
+  async function saveMeta(jar) {
+    const meta = {
+      name: jar.name,
+      cookieCount: jar.cookieCount,
+      expiresAt: jar.expiresAt,
+      quarantinedAt: jar.quarantinedAt,
+      quarantineReason: jar.quarantineReason,
+      addedAt: jar.addedAt,
+      updatedAt: jar.updatedAt,
+    };
+    await fs.promises.writeFile(
+      filesFor(jar.platform, jar.id).meta,
+      JSON.stringify(meta, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  function get(platform, id) {
+    if (!JAR_ID_RE.test(String(id))) return null;
+    return jars.get(platform)?.get(id) || null;
+  }
+
+  async function quarantine(jar, reason) {
+    jar.quarantinedAt = Date.now();
+    jar.quarantineReason = reason;
+    console.warn(
+      `⚠️ Cookie jar ${jar.platform}/${jar.id} (${jar.name}) quarantined: ${reason}`
+    );
+    await saveMeta(jar).catch((err) =>
+      console.warn(`⚠️ Cookie jar metadata write failed: ${err.message}`)
+    );
+    return jar;
+  }
+
+  return {
+    // Reads every jar from disk (startup)
+    load() {
+      for (const platform of jars.keys()) {
+        const platformDir = path.join(dir, platform);
+        if (!fs.existsSync(platformDir)) continue;
+
+        for (const file of fs.readdirSync(platformDir)) {
+          const m = /^([a-f0-9]{12})\.txt$/.exec(file);
+          if (!m) continue;
+          let meta = {};
+          try {
+            meta = JSON.parse(
+              fs.readFileSync(filesFor(platform, m[1]).meta, "utf8")
+            );
+          } catch {}
+          register(platform, m[1], meta);
+        }
+      }
+    },
+
+    // Next active jar for the platform, or null when there is none
+    pick(platform) {
+      const active = [...(jars.get(platform)?.values() || [])].filter(
+        (j) => !j.quarantinedAt
+      );
+      if (!active.length) return null;
+
+      const i = (cursors.get(platform) || 0) % active.length;
+      cursors.set(platform, i + 1);
+      const jar = active[i];
+      jar.uses++;
+      jar.lastUsedAt = Date.now();
+      return jar;
+    },
+
+    get,
+
+    list(platform) {
+      return [...(jars.get(platform)?.values() || [])].map(toPublicJar);
+    },
+
+    // Returns { jar, report }; jar is null when validation failed
+    async add(platform, text, name) {
+      const report = validateCookieJar(text, platforms[platform]);
+      if (!report.ok) return { jar: null, report };
+
+      const id = crypto.randomBytes(6).toString("hex");
+      await fs.promises.mkdir(path.join(dir, platform), {
+        recursive: true,
+        mode: 0o700,
+      });
+      await fs.promises.writeFile(filesFor(platform, id).txt, text, {
+        mode: 0o600,
+      });
+
+      const jar = register(platform, id, {
+        name,
+        cookieCount: report.cookieCount,
+        expiresAt: report.expiresAt,
+      });
+      await saveMeta(jar);
+      return { jar, report };
+    },
+
+    // Rotation: new cookies for an existing jar; lifts any quarantine
+    async replace(jar, text) {
+      const report = validateCookieJar(text, platforms[jar.platform]);
+      if (!report.ok) return { jar: null, report };
+
+      await fs.promises.writeFile(jar.path, text, { mode: 0o600 });
+      Object.assign(jar, {
+        cookieCount: report.cookieCount,
+        expiresAt: report.expiresAt,
+        quarantinedAt: null,
+        quarantineReason: null,
+        loginFailures: 0,
+        updatedAt: Date.now(),
+      });
+      await saveMeta(jar);
+      return { jar, report };
+    },
+
+    async remove(jar) {
+      jars.get(jar.platform).delete(jar.id);
+      byPath.delete(jar.path);
+      const files = filesFor(jar.platform, jar.id);
+      await fs.promises.rm(files.txt, { force: true });
+      await fs.promises.rm(files.meta, { force: true });
+    },
+
+    quarantine,
+
+    async release(jar) {
+      jar.quarantinedAt = null;
+      jar.quarantineReason = null;
+      jar.loginFailures = 0;
+      await saveMeta(jar);
+      return jar;
+    },
+
+    // Called after every yt-dlp run that used a pool jar (code null = killed)
+    reportOutcome(jarPath, { code, stderr }) {
+      const jar = byPath.get(jarPath);
+      if (!jar || jar.quarantinedAt || code === null) return;
+
+      if (LOGGED_OUT_RE.test(stderr)) {
+        quarantine(jar, "platform rejected the session cookies");
+        return;
+      }
+      if (code === 0) {
+        jar.loginFailures = 0;
+        jar.lastOkAt = Date.now();
+        return;
+      }
+      // One login wall can be a single restricted post; several in a row
+      // means the session is gone
+      if (classifyYtDlpOutput(stderr) === "LOGIN_REQUIRED") {
+        jar.loginFailures++;
+        if (jar.loginFailures >= quarantineAfter) {
+          quarantine(jar, `${jar.loginFailures} login failures in a row`);
+        }
+      }
+    },
+
+    counts() {
+      const out = [];
+      for (const [platform, map] of jars.entries()) {
+        const all = [...map.values()];
+        const quarantined = all.filter((j) => j.quarantinedAt).length;
+        out.push({ platform, active: all.length - quarantined, quarantined });
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  parseNetscapeCookies,
+  validateCookieJar,
+  createCookiePool,
+  toPublicJar,
+};
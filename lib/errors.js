@@ -0,0 +1,298 @@
+"use strict";
+
+// ---------------------------
+// ERROR TAXONOMY
+// ---------------------------
+// Every failure a client can see maps to a stable code with an HTTP status
+// and a message that is safe to show to users. Raw tool output (stderr,
+// paths, cookies) stays in `details`, which is only ever logged.
+
+const ERROR_CODES = {
+  // a bad parameter; the message says which (no upstream work was done)
+  INVALID_REQUEST: {
+    status: 400,
+    message: "The request is invalid.",
+  },
+  UNSUPPORTED_URL: {
+    status: 400,
+    message: "This link is not supported.",
+  },
+  HOST_UNRESOLVABLE: {
+    status: 400,
+    message: "The link's host could not be found.",
+  },
+  URL_NOT_ALLOWED: {
+    status: 403,
+    message: "Links to this site are not allowed on this server.",
+  },
+  PRIVATE_ADDRESS: {
+    status: 403,
+    message: "Links to private or local network addresses are not allowed.",
+  },
+  VIDEO_PRIVATE: {
+    status: 403,
+    message: "This video is private.",
+  },
+  AGE_RESTRICTED: {
+    status: 403,
+    message: "This video is age-restricted and cannot be fetched.",
+  },
+  LOGIN_REQUIRED: {
+    status: 403,
+    message: "This content requires a signed-in account.",
+  },
+  VIDEO_NOT_FOUND: {
+    status: 404,
+    message: "This video does not exist or has been removed.",
+  },
+  VIDEO_ID_EXPIRED: {
+    status: 404,
+    message: "Video ID not found or expired. Fetch the video info again.",
+  },
+  NOT_LIVE_YET: {
+    status: 409,
+    message: "This live stream or premiere has not started yet.",
+  },
+  LIVE_STREAM: {
+    status: 409,
+    message: "This is a live stream and cannot be downloaded whole.",
+  },
+  FORMAT_UNAVAILABLE: {
+    status: 422,
+    message: "The requested format is not available for this video.",
+  },
+  MEDIA_TOO_LONG: {
+    status: 422,
+    message: "This video is longer than this server allows.",
+  },
+  MEDIA_TOO_LARGE: {
+    status: 422,
+    message: "This file is larger than this server allows.",
+  },
+  RATE_LIMITED: {
+    status: 429,
+    message: "The platform is rate limiting us. Try again in a few minutes.",
+    retryable: true,
+    retryAfter: 60,
+  },
+  GEO_BLOCKED: {
+    status: 451,
+    message: "This video is not available in the server's region.",
+  },
+  COPYRIGHT_BLOCKED: {
+    status: 451,
+    message: "This video was blocked on copyright grounds.",
+  },
+  INTERNAL: {
+    status: 500,
+    message: "Something went wrong on our side.",
+  },
+  PROCESSING_FAILED: {
+    status: 500,
+    message: "The media could not be processed.",
+  },
+  UPSTREAM_ERROR: {
+    status: 502,
+    message: "The platform returned an unexpected error.",
+    retryable: true,
+  },
+  CANCELLED: {
+    status: 503,
+    message: "The request was cancelled before it started.",
+    retryable: true,
+  },
+  SERVICE_UNAVAILABLE: {
+    status: 503,
+    message: "The media tools are unavailable right now.",
+    retryable: true,
+  },
+  UPSTREAM_TIMEOUT: {
+    status: 504,
+    message: "The platform took too long to respond.",
+    retryable: true,
+  },
+  PROCESSING_TIMEOUT: {
+    status: 504,
+    message: "Processing took too long.",
+    retryable: true,
+  },
+};
+
+class ApiError extends Error {
+  // opts: { message, details, tool, retryAfter, allowed, cause }
+  // allowed: the values a rejected parameter accepts, sent to the client
+  constructor(code, opts = {}) {
+    const def = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+    super(opts.message || def.message, { cause: opts.cause });
+    this.name = "ApiError";
+    this.code = ERROR_CODES[code] ? code : "INTERNAL";
+    this.status = def.status;
+    this.retryable = Boolean(def.retryable);
+    this.retryAfter = opts.retryAfter ?? def.retryAfter ?? null;
+    this.details = opts.details || "";
+    this.tool = opts.tool || null; // "yt-dlp" | "ffmpeg", for metrics
+    this.allowed = opts.allowed || null;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      ...(this.allowed ? { allowed: this.allowed } : {}),
+    };
+  }
+}
+
+// ---------------------------
+// yt-dlp STDERR CLASSIFICATION
+// ---------------------------
+// First match wins, so the specific messages come before the generic ones
+// (YouTube prints "Video unavailable. This video is private").
+const YTDLP_PATTERNS = [
+  [/Unsupported URL/i, "UNSUPPORTED_URL"],
+  [
+    /private video|video is private|(?:account|profile) is private/i,
+    "VIDEO_PRIVATE",
+  ],
+  [/copyright (?:claim|grounds)|blocked it on copyright/i, "COPYRIGHT_BLOCKED"],
+  [
+    /available in your country|not available (?:in|from) your (?:country|location)|geo[- ]?restrict/i,
+    "GEO_BLOCKED",
+  ],
+  [
+    /confirm your age|age[- ]restricted|inappropriate for some users/i,
+    "AGE_RESTRICTED",
+  ],
+  // Instagram reports its login wall this way
+  [/rate-limit reached or login required/i, "LOGIN_REQUIRED"],
+  [/HTTP Error 429|Too Many Requests|rate[- ]limit|not a bot/i, "RATE_LIMITED"],
+  [
+    /login required|log in|sign in|logged[- ]in|--cookies|account is required/i,
+    "LOGIN_REQUIRED",
+  ],
+  [
+    /Premieres in|live event will begin|has not started|is upcoming/i,
+    "NOT_LIVE_YET",
+  ],
+  [
+    /Requested format is not available|No video formats found/i,
+    "FORMAT_UNAVAILABLE",
+  ],
+  [/larger than max-filesize/i, "MEDIA_TOO_LARGE"],
+  [
+    /Video unavailable|has been removed|no longer available|does not exist|HTTP Error 404|HTTP Error 410|account (?:has been )?terminated/i,
+    "VIDEO_NOT_FOUND",
+  ],
+  [
+    /timed out|Connection reset|Temporary failure in name resolution/i,
+    "UPSTREAM_TIMEOUT",
+  ],
+];
+
+// yt-dlp's own lines look like "ERROR: [youtube] abc: Private video ..."
+function ytDlpErrorLines(stderr) {
+  const lines = String(stderr || "")
+    .split(/\r?\n/)
+    .filter((l) => l.startsWith("ERROR:"));
+  return lines.length ? lines.join("\n") : String(stderr || "");
+}
+
+function classifyYtDlpOutput(stderr) {
+  const text = ytDlpErrorLines(stderr);
+  for (const [pattern, code] of YTDLP_PATTERNS) {
+    if (pattern.test(text)) return code;
+  }
+  return null;
+}
+
+// Failed yt-dlp run -> ApiError (unrecognized failures are UPSTREAM_ERROR)
+function ytDlpError(
+  stderr,
+  { exitCode = null, fallback = "UPSTREAM_ERROR" } = {}
+) {
+  const code = classifyYtDlpOutput(stderr) || fallback;
+  return new ApiError(code, {
+    tool: "yt-dlp",
+    details: `yt-dlp exited with code ${exitCode}: ${String(stderr || "").slice(-4000)}`,
+  });
+}
+
+// Child process that never produced a result (spawn error or timeout)
+function processError(tool, err, { timedOut = false, timeoutMs } = {}) {
+  if (timedOut) {
+    return new ApiError(
+      tool === "ffmpeg" ? "PROCESSING_TIMEOUT" : "UPSTREAM_TIMEOUT",
+      {
+        tool,
+        details: `${tool} timed out after ${timeoutMs}ms`,
+      }
+    );
+  }
+  return new ApiError("SERVICE_UNAVAILABLE", {
+    tool,
+    cause: err,
+    details: `${tool} error: ${err?.message || err}`,
+  });
+}
+
+// Failed ffmpeg run; its stderr is never interesting to a client
+function ffmpegError(stderr, { exitCode = null } = {}) {
+  return new ApiError("PROCESSING_FAILED", {
+    tool: "ffmpeg",
+    details: `ffmpeg exited with code ${exitCode}: ${String(stderr || "").slice(-4000)}`,
+  });
+}
+
+// Failed HTTP fetch of a platform resource (subtitles, thumbnails, ...)
+function httpError(err) {
+  const status = err?.response?.status;
+  let code = "UPSTREAM_ERROR";
+  if (status === 429) code = "RATE_LIMITED";
+  else if (status === 404 || status === 410) code = "VIDEO_NOT_FOUND";
+  else if (status === 401 || status === 403) code = "LOGIN_REQUIRED";
+  else if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT")
+    code = "UPSTREAM_TIMEOUT";
+  return new ApiError(code, {
+    cause: err,
+    details: err?.message || String(err),
+  });
+}
+
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  return new ApiError("INTERNAL", {
+    cause: err,
+    details: err?.message || String(err),
+  });
+}
+
+// ---------------------------
+// RESPONSES
+// ---------------------------
+// { error: <what failed>, code, message, retryable }. `error` keeps the
+// short label older clients already match on.
+function sendApiError(res, err, label) {
+  const apiErr = toApiError(err);
+  const log = apiErr.status >= 500 ? console.error : console.warn;
+  log(
+    `${apiErr.status >= 500 ? "❌" : "⚠️"} ${label} [${apiErr.code}]: ${apiErr.details || apiErr.message}`
+  );
+
+  if (res.headersSent) return;
+  if (apiErr.retryAfter)
+    res.setHeader("Retry-After", String(apiErr.retryAfter));
+  res.status(apiErr.status).json({ error: label, ...apiErr.toJSON() });
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  classifyYtDlpOutput,
+  ytDlpError,
+  processError,
+  ffmpegError,
+  httpError,
+  toApiError,
+  sendApiError,
+};
@@ -0,0 +1,331 @@
+"use strict";
+
+// ---------------------------
+// yt-dlp FORMAT HELPERS
+// ---------------------------
+function minDimension(format) {
+  const w = Number(format.width || 0);
+  const h = Number(format.height || 0);
+  if (!w || !h) return 0;
+  return Math.min(w, h);
+}
+
+function hasAudio(format) {
+  return format.acodec && format.acodec !== "none";
+}
+
+function isVideo(format) {
+  return format.vcodec && format.vcodec !== "none";
+}
+
+// "avc1.64001F" -> "h264", "vp09.00.40.08" -> "vp9", ...; unknown codecs keep
+// their first segment
+const VIDEO_CODECS = [
+  [/^(?:avc|h264)/, "h264"],
+  [/^(?:hev|hvc|h265)/, "h265"],
+  [/^vp0?9/, "vp9"],
+  [/^av0?1/, "av1"],
+  [/^vp0?8/, "vp8"],
+];
+
+// Best supported first; used to order formats of the same size and fps
+const CODEC_RANK = ["h264", "vp9", "h265", "av1"];
+
+function videoCodec(format) {
+  const codec = String(format.vcodec || "").toLowerCase();
+  if (!codec || codec === "none") return null;
+  const known = VIDEO_CODECS.find(([re]) => re.test(codec));
+  return known ? known[1] : codec.split(".")[0];
+}
+
+function audioCodec(format) {
+  return hasAudio(format) ? String(format.acodec).split(".")[0] : null;
+}
+
+// Bytes, exact when yt-dlp knows them, else estimated from the bitrate
+function formatSize(format, duration) {
+  if (format.filesize) return { bytes: format.filesize, approx: false };
+  if (format.filesize_approx)
+    return { bytes: format.filesize_approx, approx: true };
+  const kbps = Number(format.tbr || 0);
+  if (kbps && duration) {
+    return { bytes: Math.round((kbps * 1000 * duration) / 8), approx: true };
+  }
+  return { bytes: null, approx: false };
+}
+
+// ---------------------------
+// AUDIO FORMATS
+// ---------------------------
+// Audio-only formats (no vcodec), best bitrate first
+function buildAudioFormats(raw) {
+  const formats = Array.isArray(raw.formats) ? raw.formats : [];
+
+  return formats
+    .filter((f) => hasAudio(f) && !isVideo(f))
+    .map((f) => {
+      const abr = Math.round(Number(f.abr ?? f.tbr ?? 0)) || null;
+      return {
+        formatId: String(f.format_id),
+        ext: f.ext || "m4a",
+        acodec: audioCodec(f),
+        abr,
+        filesize: formatSize(f, raw.duration).bytes,
+        // label: ready-made UI string
+        label: `${f.ext || "?"} ${abr ? `${abr}kbps` : "?kbps"} Audio-only`,
+      };
+    })
+    .sort((a, b) => (b.abr || 0) - (a.abr || 0));
+}
+
+// ---------------------------
+// VIDEO FORMATS
+// ---------------------------
+// Video-only formats are merged with the best audio in the matching
+// container, so the result stays mp4 / webm instead of becoming mkv.
+const MERGE_AUDIO_EXT = { mp4: "m4a", webm: "webm" };
+
+// yt-dlp -f selector that downloads a format, merged when it has no audio
+function mergeSelector(format) {
+  if (format.hasAudio) return format.formatId;
+  const audioExt = MERGE_AUDIO_EXT[format.ext];
+  const merged = `${format.formatId}+bestaudio`;
+  return audioExt
+    ? `${merged}[ext=${audioExt}]/${merged}/best`
+    : `${merged}/best`;
+}
+
+function mergeAudioFor(ext, audioFormats) {
+  const audioExt = MERGE_AUDIO_EXT[ext];
+  return (
+    (audioExt && audioFormats.find((a) => a.ext === audioExt)) ||
+    audioFormats[0] ||
+    null
+  );
+}
+
+function formatLabel(f) {
+  const parts = [f.ext, `${f.quality}${f.fps > 30 ? f.fps : ""}`];
+  if (f.vcodec) parts.push(f.vcodec.toUpperCase());
+  if (f.hdr) parts.push(f.dynamicRange);
+  parts.push(f.hasAudio ? "A+V" : "Video-only");
+  return parts.join(" ");
+}
+
+// One entry per quality, fps, codec and dynamic range, best first:
+// { formatId, ext, container, quality, width, height, fps, vcodec, acodec,
+//   dynamicRange, hdr, bitrate, hasAudio, needsMerge, hls, filesize,
+//   mergedFilesize, filesizeApprox, label }
+// filesize is the format alone; mergedFilesize includes the audio it is
+// merged with, i.e. what a download of it weighs. hls formats can be played
+// through /api/video/hls.
+function buildAvailableFormats(raw, audioFormats = buildAudioFormats(raw)) {
+  const formats = Array.isArray(raw.formats) ? raw.formats : [];
+  if (!formats.length) return [];
+
+  const groups = new Map();
+
+  for (const f of formats) {
+    if (!isVideo(f)) continue;
+    const qDim = minDimension(f);
+    if (!qDim) continue;
+
+    const ext = f.ext || "mp4";
+    const withAudio = !!hasAudio(f);
+    const fps = Math.round(Number(f.fps || 0)) || null;
+    const vcodec = videoCodec(f);
+    const dynamicRange = f.dynamic_range || "SDR";
+    const size = formatSize(f, raw.duration);
+    const hls = String(f.protocol || "").startsWith("m3u8");
+
+    const audio = withAudio ? null : mergeAudioFor(ext, audioFormats);
+    const merged = !withAudio && audio && audio.ext !== MERGE_AUDIO_EXT[ext];
+    const mergedFilesize = withAudio
+      ? size.bytes
+      : size.bytes != null && audio?.filesize != null
+        ? size.bytes + audio.filesize
+        : null;
+
+    const candidate = {
+      formatId: String(f.format_id),
+      ext,
+      container: merged ? "mkv" : ext,
+      quality: `${qDim}p`,
+      width: f.width || null,
+      height: f.height || null,
+      fps,
+      vcodec,
+      acodec: withAudio ? audioCodec(f) : audio?.acodec || null,
+      dynamicRange,
+      hdr: dynamicRange !== "SDR",
+      bitrate: Math.round(Number(f.tbr ?? f.vbr ?? 0)) || null, // kbps
+      hasAudio: withAudio,
+      needsMerge: !withAudio,
+      hls,
+      filesize: size.bytes,
+      mergedFilesize,
+      filesizeApprox: size.approx,
+      label: "",
+      // keep extra internal info:
+      _qDim: qDim,
+      _direct: !hls,
+    };
+    candidate.label = formatLabel(candidate);
+
+    const key = `${qDim}:${fps}:${vcodec}:${dynamicRange}`;
+    const existing = groups.get(key);
+    if (!existing || preferFormat(candidate, existing)) {
+      groups.set(key, candidate);
+    }
+  }
+
+  return Array.from(groups.values())
+    .sort(compareFormats)
+    .map(({ _qDim, _direct, ...out }) => out);
+}
+
+// Within one group: formats with audio, then direct downloads over HLS,
+// then the higher bitrate
+function preferFormat(a, b) {
+  if (a.hasAudio !== b.hasAudio) return a.hasAudio;
+  if (a._direct !== b._direct) return a._direct;
+  return (a.bitrate || 0) > (b.bitrate || 0);
+}
+
+function codecRank(vcodec) {
+  const i = CODEC_RANK.indexOf(vcodec);
+  return i === -1 ? CODEC_RANK.length : i;
+}
+
+function compareFormats(a, b) {
+  return (
+    b._qDim - a._qDim ||
+    (b.fps || 0) - (a.fps || 0) ||
+    codecRank(a.vcodec) - codecRank(b.vcodec) ||
+    Number(a.hdr) - Number(b.hdr) ||
+    Number(b.hasAudio) - Number(a.hasAudio)
+  );
+}
+
+// ---------------------------
+// CLIENT FILTERS
+// ---------------------------
+// Device presets for ?compat=; explicit filters override their fields
+const COMPAT_PROFILES = {
+  android: { codecs: ["h264", "vp9"], containers: ["mp4", "webm"], hdr: false },
+  ios: { codecs: ["h264", "h265"], containers: ["mp4"], hdr: null },
+  web: {
+    codecs: ["h264", "vp9", "av1"],
+    containers: ["mp4", "webm"],
+    hdr: false,
+  },
+};
+
+const FILTER_CODECS = ["h264", "h265", "vp9", "av1", "vp8"];
+const FILTER_CONTAINERS = ["mp4", "webm", "mkv"];
+
+function parseList(value) {
+  return String(value)
+    .toLowerCase()
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseBool(value) {
+  const v = String(value).toLowerCase();
+  if (v === "true" || v === "1") return true;
+  if (v === "false" || v === "0") return false;
+  return undefined;
+}
+
+// Query (maxHeight, maxFps, codec, container, hdr, compat) ->
+// { filters } or { error } with the body for a 400. filters is null when
+// nothing was asked for.
+function parseFormatFilters(query) {
+  const filters = {};
+
+  if (query.compat !== undefined) {
+    const profile = COMPAT_PROFILES[String(query.compat).toLowerCase()];
+    if (!profile) {
+      return {
+        error: {
+          error: "Unknown compat profile",
+          allowed: Object.keys(COMPAT_PROFILES),
+        },
+      };
+    }
+    Object.assign(filters, profile);
+  }
+
+  for (const name of ["maxHeight", "maxFps"]) {
+    if (query[name] === undefined) continue;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n <= 0) {
+      return { error: { error: `Invalid '${name}' parameter` } };
+    }
+    filters[name] = n;
+  }
+
+  if (query.codec !== undefined) {
+    const codecs = parseList(query.codec);
+    if (!codecs.length || codecs.some((c) => !FILTER_CODECS.includes(c))) {
+      return {
+        error: { error: "Unsupported codec", allowed: FILTER_CODECS },
+      };
+    }
+    filters.codecs = codecs;
+  }
+
+  if (query.container !== undefined) {
+    const containers = parseList(query.container);
+    if (
+      !containers.length ||
+      containers.some((c) => !FILTER_CONTAINERS.includes(c))
+    ) {
+      return {
+        error: { error: "Unsupported container", allowed: FILTER_CONTAINERS },
+      };
+    }
+    filters.containers = containers;
+  }
+
+  if (query.hdr !== undefined) {
+    const hdr = parseBool(query.hdr);
+    if (hdr === undefined) {
+      return { error: { error: "Invalid 'hdr' parameter" } };
+    }
+    filters.hdr = hdr;
+  }
+
+  return { filters: Object.keys(filters).length ? filters : null };
+}
+
+// maxHeight is compared with the shorter side, like "quality", so 720
+// keeps 720x1280 portrait videos
+function filterFormats(formats, filters) {
+  if (!filters) return formats;
+  return formats.filter((f) => {
+    const q = parseInt(f.quality, 10);
+    if (filters.maxHeight && q > filters.maxHeight) return false;
+    if (filters.maxFps && (f.fps || 0) > filters.maxFps) return false;
+    if (filters.codecs && !filters.codecs.includes(f.vcodec)) return false;
+    if (filters.containers && !filters.containers.includes(f.container))
+      return false;
+    if (filters.hdr != null && f.hdr !== filters.hdr) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  COMPAT_PROFILES,
+  minDimension,
+  hasAudio,
+  isVideo,
+  videoCodec,
+  buildAudioFormats,
+  buildAvailableFormats,
+  mergeSelector,
+  parseFormatFilters,
+  filterFormats,
+};
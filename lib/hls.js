@@ -0,0 +1,150 @@
+"use strict";
+
+const crypto = require("crypto");
+
+// ---------------------------
+// SIGNED PROXY TARGETS
+// ---------------------------
+// The HLS proxy only fetches URLs it handed out itself. Every rewritten URI
+// carries a token: base64url(JSON payload) + "." + HMAC-SHA256 of it, where
+//   payload: { vid, formatId, kind: "playlist" | "segment", url, clientId,
+//              exp }
+// so the proxy is never an open relay, and a token dies with its expiry.
+// clientId: the API client the token was issued to, which it authenticates
+
+function sign(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function signProxyTarget(secret, payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${sign(secret, data)}`;
+}
+
+// Returns the payload, or null when the token is forged, malformed or expired
+function verifyProxyTarget(secret, token, { now = Date.now() } = {}) {
+  const [data, sig] = String(token || "").split(".");
+  if (!data || !sig) return null;
+
+  const expected = Buffer.from(sign(secret, data));
+  const given = Buffer.from(sig);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!payload?.url || !(payload.exp > now)) return null;
+  return payload;
+}
+
+// ---------------------------
+// COOKIES
+// ---------------------------
+// yt-dlp puts the cookies a format needs into its "cookies" field as
+// Set-Cookie-like text: "a=1; Domain=.example.com; Path=/; Secure; b=2; ...".
+// Only the ones whose domain matches the URL are sent.
+const COOKIE_ATTRIBUTES = new Set([
+  "domain",
+  "path",
+  "expires",
+  "max-age",
+  "secure",
+  "httponly",
+  "samesite",
+]);
+
+function parseFormatCookies(text) {
+  const cookies = [];
+  for (const part of String(text || "").split(";")) {
+    const eq = part.indexOf("=");
+    const name = (eq === -1 ? part : part.slice(0, eq)).trim();
+    const value = eq === -1 ? "" : part.slice(eq + 1).trim();
+    if (!name) continue;
+
+    const attr = name.toLowerCase();
+    if (COOKIE_ATTRIBUTES.has(attr)) {
+      const last = cookies[cookies.length - 1];
+      if (attr === "domain" && last) last.domain = value.replace(/^\./, "");
+      continue;
+    }
+    cookies.push({ name, value, domain: null });
+  }
+  return cookies;
+}
+
+function cookieHeaderFor(text, url) {
+  const host = new URL(url).hostname.toLowerCase();
+  return parseFormatCookies(text)
+    .filter(
+      (c) =>
+        !c.domain ||
+        host === c.domain.toLowerCase() ||
+        host.endsWith(`.${c.domain.toLowerCase()}`)
+    )
+    .map((c) => `${c.name}=${c.value}`)
+    .join("; ");
+}
+
+// ---------------------------
+// MANIFEST REWRITING
+// ---------------------------
+function isManifest(contentType, body) {
+  if (/mpegurl/i.test(String(contentType || ""))) return true;
+  return String(body || "")
+    .trimStart()
+    .startsWith("#EXTM3U");
+}
+
+// Tags whose URI="..." attribute names another playlist; in every other tag
+// (EXT-X-KEY, EXT-X-MAP, EXT-X-PART, ...) it is a key or media file
+const PLAYLIST_URI_TAGS = new Set([
+  "EXT-X-MEDIA",
+  "EXT-X-I-FRAME-STREAM-INF",
+  "EXT-X-RENDITION-REPORT",
+]);
+
+// Replaces every URI in an m3u8 with toProxyUrl(absoluteUrl, kind). Relative
+// URIs resolve against baseUrl, the URL the manifest was finally fetched from.
+function rewriteManifest(text, baseUrl, toProxyUrl) {
+  const resolve = (uri) => new URL(uri, baseUrl).toString();
+  let nextIsPlaylist = false;
+
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith("#")) {
+        const tag = trimmed.slice(1).split(":")[0];
+        if (tag === "EXT-X-STREAM-INF") nextIsPlaylist = true;
+        const kind = PLAYLIST_URI_TAGS.has(tag) ? "playlist" : "segment";
+        return line.replace(
+          /URI="([^"]*)"/g,
+          (_, uri) => `URI="${toProxyUrl(resolve(uri), kind)}"`
+        );
+      }
+
+      const kind = nextIsPlaylist ? "playlist" : "segment";
+      nextIsPlaylist = false;
+      return toProxyUrl(resolve(trimmed), kind);
+    })
+    .join("\n");
+}
+
+module.exports = {
+  signProxyTarget,
+  verifyProxyTarget,
+  parseFormatCookies,
+  cookieHeaderFor,
+  isManifest,
+  rewriteManifest,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+// ---------------------------
+// BYTE RANGES (RFC 7233)
+// ---------------------------
+// parseRange("bytes=0-99,-500", size) ->
+//   null                     no usable Range header: send the whole file
+//   { unsatisfiable: true }  416 with "Content-Range: bytes */<size>"
+//   { ranges: [{ start, end }, ...] }  inclusive offsets, sorted, with
+//                            overlapping and adjacent ranges merged
+// A header with any syntactically invalid spec ("500-100", "abc") must be
+// ignored as a whole (§2.1), and so is one asking for more than maxRanges
+// pieces, which only costs us without helping any real player.
+const RANGE_SPEC_RE = /^(\d*)-(\d*)$/;
+
+function parseRange(header, size, { maxRanges = 16 } = {}) {
+  const m = /^bytes=(.*)$/i.exec(String(header || "").trim());
+  if (!m) return null;
+
+  const specs = m[1]
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!specs.length) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = RANGE_SPEC_RE.exec(spec);
+    if (!parts || (!parts[1] && !parts[2])) return null;
+
+    if (!parts[1]) {
+      // suffix: the last N bytes
+      const length = Number(parts[2]);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const last = parts[2] ? Number(parts[2]) : Infinity;
+    if (last < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(last, size - 1) });
+  }
+
+  if (!ranges.length) return { unsatisfiable: true };
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const prev = merged[merged.length - 1];
+    if (range.start <= prev.end + 1) prev.end = Math.max(prev.end, range.end);
+    else merged.push(range);
+  }
+  if (merged.length > maxRanges) return null;
+  return { ranges: merged };
+}
+
+// ---------------------------
+// VALIDATORS + CONDITIONAL REQUESTS (RFC 7232)
+// ---------------------------
+// Served files are never rewritten in place (new content is a new file with
+// a new mtime, see lib/media-store.js), so size + mtime is a strong
+// validator.
+function fileValidators(stat) {
+  return {
+    etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+    lastModified: stat.mtime.toUTCString(),
+  };
+}
+
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, "");
+}
+
+// If-None-Match (weak comparison) wins over If-Modified-Since, §6
+function isNotModified(headers, { etag, lastModified }) {
+  const noneMatch = headers["if-none-match"];
+  if (noneMatch) {
+    if (noneMatch.trim() === "*") return true;
+    return noneMatch.split(",").some((tag) => opaqueTag(tag) === etag);
+  }
+
+  const since = Date.parse(headers["if-modified-since"] || "");
+  if (Number.isNaN(since)) return false;
+  return Date.parse(lastModified) <= since;
+}
+
+// If-Range: the Range header only applies while the client's copy is
+// still current. An entity tag must match strongly (weak tags never do); a
+// date must equal Last-Modified exactly (RFC 7233 §3.2).
+function ifRangeMatches(header, { etag, lastModified }) {
+  if (!header) return true;
+  const value = header.trim();
+  if (value.startsWith("W/")) return false;
+  if (value.startsWith('"')) return value === etag;
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && date === Date.parse(lastModified);
+}
+
+module.exports = {
+  parseRange,
+  fileValidators,
+  isNotModified,
+  ifRangeMatches,
+};
@@ -0,0 +1,155 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+// ---------------------------
+// yt-dlp PROGRESS PARSING
+// ---------------------------
+// yt-dlp (with --newline) prints one line per progress tick, e.g.
+//   [download]  45.3% of ~ 10.00MiB at  1.23MiB/s ETA 00:05 (frag 3/10)
+//   [download] 100% of   10.00MiB in 00:00:03 at 3.10MiB/s
+const PROGRESS_RE =
+  /^\[download\]\s+(\d+(?:\.\d+)?)%\s+of\s+~?\s*(\S+)(?:\s+in\s+\S+)?(?:\s+at\s+(Unknown B\/s|\S+))?(?:\s+ETA\s+(\S+))?/;
+
+const SIZE_UNITS = {
+  B: 1,
+  KiB: 1024,
+  MiB: 1024 ** 2,
+  GiB: 1024 ** 3,
+  TiB: 1024 ** 4,
+  KB: 1e3,
+  MB: 1e6,
+  GB: 1e9,
+  TB: 1e12,
+};
+
+function parseSize(str) {
+  const m = /^(\d+(?:\.\d+)?)([KMGT]?i?B)$/.exec(String(str || "").trim());
+  if (!m || !SIZE_UNITS[m[2]]) return null;
+  return Math.round(Number(m[1]) * SIZE_UNITS[m[2]]);
+}
+
+// "05", "01:05", "1:02:05" -> seconds
+function parseEta(str) {
+  if (!str || !/^\d+(:\d+){0,2}$/.test(str)) return null;
+  return str.split(":").reduce((acc, part) => acc * 60 + Number(part), 0);
+}
+
+function parseProgressLine(line) {
+  const m = PROGRESS_RE.exec(String(line).trim());
+  if (!m) return null;
+
+  const percent = Math.min(100, Number(m[1]));
+  const totalBytes = parseSize(m[2]);
+  const speed = m[3] ? parseSize(m[3].replace(/\/s$/, "")) : null;
+
+  return {
+    percent,
+    totalBytes,
+    downloadedBytes:
+      totalBytes != null ? Math.round((totalBytes * percent) / 100) : null,
+    speed, // bytes/sec
+    eta: parseEta(m[4]), // seconds
+  };
+}
+
+// ---------------------------
+// JOB STORE
+// ---------------------------
+// job: { id, clientId, status, videoId, formatId, title, recordSeconds,
+//        progress, filePath, ext, keepFile, filesize, error, createdAt,
+//        updatedAt }
+// clientId: the API client that created the job (only it can see the job)
+// keepFile: filePath is owned by someone else (the media store) and must
+// outlive the job
+// recordSeconds: set for live recordings, which go queued -> recording
+// status: queued -> downloading -> merging -> completed | failed
+const FINAL_STATUSES = new Set(["completed", "failed"]);
+
+function createJobManager({ ttlMs }) {
+  const jobs = new Map();
+
+  return {
+    create(fields) {
+      const now = Date.now();
+      const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        progress: {
+          percent: 0,
+          downloadedBytes: null,
+          totalBytes: null,
+          speed: null,
+          eta: null,
+          part: 0,
+        },
+        recordSeconds: null,
+        filePath: null,
+        ext: null,
+        filesize: null,
+        error: null,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.set(job.id, job);
+      return job;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    update(job, patch) {
+      Object.assign(job, patch, { updatedAt: Date.now() });
+      return job;
+    },
+    isFinal(job) {
+      return FINAL_STATUSES.has(job.status);
+    },
+    // Drop finished jobs (and their own files) once they are older than ttlMs
+    cleanup(now = Date.now()) {
+      for (const [id, job] of jobs.entries()) {
+        if (!FINAL_STATUSES.has(job.status)) continue;
+        if (now - job.updatedAt <= ttlMs) continue;
+        jobs.delete(id);
+        if (job.filePath && !job.keepFile && fs.existsSync(job.filePath)) {
+          fs.unlink(job.filePath, () => {});
+        }
+      }
+    },
+    get size() {
+      return jobs.size;
+    },
+  };
+}
+
+// Public job shape (strip internal fields such as filePath)
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    videoId: job.videoId,
+    formatId: job.formatId || null,
+    title: job.title,
+    recordSeconds: job.recordSeconds,
+    progress: job.progress,
+    filesize: job.filesize,
+    ext: job.ext,
+    error: job.error,
+    statusUrl: `/api/jobs/${encodeURIComponent(job.id)}`,
+    fileUrl:
+      job.status === "completed"
+        ? `/api/jobs/${encodeURIComponent(job.id)}/file`
+        : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+module.exports = {
+  parseProgressLine,
+  parseSize,
+  parseEta,
+  createJobManager,
+  toPublicJob,
+};
@@ -0,0 +1,258 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Writable } = require("stream");
+const { finished } = require("stream/promises");
+
+// ---------------------------
+// CONTENT-ADDRESSED MEDIA STORE
+// ---------------------------
+// key ("<kind>:<videoId>:<options...>") ->
+//   <dir>/<sha256(key)[0..32]>.<ext>   the media file
+//   <dir>/<sha256(key)[0..32]>.json    { key, ext, size, createdAt }
+// A media file's mtime is its createdAt, so it can serve as a validator
+// (ETag / Last-Modified); reads touch its atime instead, so load() can
+// rebuild the LRU order after a restart. Streams being written live in <dir>/.incoming until they
+// are committed; leftovers from a crash are cleared at startup.
+
+const SIDECAR_RE = /^[a-f0-9]{32}\.json$/;
+const MEDIA_RE = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+
+function keyHash(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 32);
+}
+
+function kindOf(key) {
+  return String(key).split(":")[0];
+}
+
+// rename() cannot cross filesystems (os.tmpdir() is often tmpfs)
+async function moveFile(src, dest) {
+  try {
+    await fs.promises.rename(src, dest);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(src, dest);
+    await fs.promises.unlink(src);
+  }
+}
+
+// maxEntryBytes: larger files are not stored (put() resolves to null), so a
+// single download cannot flush everything else
+function createMediaStore({ dir, maxBytes, maxEntryBytes = maxBytes / 4 }) {
+  const incoming = path.join(dir, ".incoming");
+  const entries = new Map(); // key -> entry, least recently used first
+  let totalBytes = 0;
+
+  function filesFor(key, ext) {
+    const base = path.join(dir, keyHash(key));
+    return { media: `${base}.${ext}`, meta: `${base}.json` };
+  }
+
+  function index(entry) {
+    entries.set(entry.key, entry);
+    totalBytes += entry.size;
+  }
+
+  function forget(entry) {
+    entries.delete(entry.key);
+    totalBytes -= entry.size;
+  }
+
+  function drop(entry) {
+    forget(entry);
+    const files = filesFor(entry.key, entry.ext);
+    fs.unlink(files.media, () => {});
+    fs.unlink(files.meta, () => {});
+  }
+
+  function evict() {
+    for (const entry of entries.values()) {
+      if (totalBytes <= maxBytes) break;
+      drop(entry);
+    }
+  }
+
+  async function put(key, filePath, { ext } = {}) {
+    const fileExt = ext || path.extname(filePath).slice(1) || "bin";
+    const { size } = await fs.promises.stat(filePath);
+    if (size > maxEntryBytes) return null;
+
+    // Same key and ext is overwritten by the rename below
+    const existing = entries.get(key);
+    if (existing) {
+      forget(existing);
+      if (existing.ext !== fileExt) {
+        fs.unlink(filesFor(key, existing.ext).media, () => {});
+      }
+    }
+
+    const files = filesFor(key, fileExt);
+    await moveFile(filePath, files.media);
+    const now = Date.now();
+    await fs.promises.utimes(files.media, new Date(now), new Date(now));
+    const entry = {
+      key,
+      ext: fileExt,
+      size,
+      path: files.media,
+      createdAt: now,
+      lastUsedAt: now,
+    };
+    await fs.promises.writeFile(
+      files.meta,
+      JSON.stringify({ key, ext: fileExt, size, createdAt: now })
+    );
+
+    index(entry);
+    evict();
+    return entry;
+  }
+
+  return {
+    // Rebuilds the index from disk (startup). Only files named like ours are
+    // ever deleted, so a misconfigured dir is left alone.
+    load() {
+      fs.mkdirSync(incoming, { recursive: true });
+      for (const file of fs.readdirSync(incoming)) {
+        fs.rmSync(path.join(incoming, file), { force: true });
+      }
+
+      const found = [];
+      const known = new Set();
+      for (const file of fs.readdirSync(dir)) {
+        if (!SIDECAR_RE.test(file)) continue;
+        const metaPath = path.join(dir, file);
+        try {
+          const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+          const { media } = filesFor(meta.key, meta.ext);
+          const stat = fs.statSync(media);
+          found.push({
+            key: meta.key,
+            ext: meta.ext,
+            size: stat.size,
+            path: media,
+            createdAt: meta.createdAt,
+            lastUsedAt: stat.atimeMs,
+          });
+          known.add(path.basename(media));
+          known.add(file);
+        } catch {
+          fs.rmSync(metaPath, { force: true });
+        }
+      }
+
+      // media files whose sidecar is gone can never be looked up again
+      for (const file of fs.readdirSync(dir)) {
+        if (MEDIA_RE.test(file) && !known.has(file)) {
+          fs.rmSync(path.join(dir, file), { force: true });
+        }
+      }
+
+      found.sort((a, b) => a.lastUsedAt - b.lastUsedAt).forEach(index);
+      evict();
+      return { entries: entries.size, bytes: totalBytes };
+    },
+
+    // Returns { key, ext, size, path, ... } and marks it recently used
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (!fs.existsSync(entry.path)) {
+        forget(entry);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      entry.lastUsedAt = Date.now();
+      fs.utimes(
+        entry.path,
+        new Date(entry.lastUsedAt),
+        new Date(entry.createdAt),
+        () => {}
+      );
+      return entry;
+    },
+
+    // Moves a finished file into the store
+    put,
+
+    // Whether a file of `size` bytes would be stored (0 = unknown, maybe)
+    accepts(size) {
+      return !(size > maxEntryBytes);
+    },
+
+    // For output that is streamed to a client at the same time: pipe into
+    // writer.stream, then commit() once the source ended cleanly or
+    // discard() when it did not. Past maxEntryBytes the writer discards
+    // itself and drops the rest, so a long download never fills the disk;
+    // commit() then resolves to null.
+    writer(key, { ext }) {
+      const tmpPath = path.join(incoming, `${crypto.randomUUID()}.${ext}`);
+      const file = fs.createWriteStream(tmpPath);
+      file.on("error", () => {}); // a cache write never fails the response
+      let settled = false;
+      let bytes = 0;
+
+      const stream = new Writable({
+        write(chunk, encoding, cb) {
+          bytes += chunk.length;
+          if (bytes <= maxEntryBytes) return file.write(chunk, () => cb());
+          cb();
+          discard();
+        },
+        final(cb) {
+          file.end(() => cb());
+        },
+        destroy(err, cb) {
+          file.destroy();
+          cb(err);
+        },
+      });
+      stream.on("error", () => {});
+
+      // the file may still be opening; unlink it once it is closed
+      function discard() {
+        if (settled) return;
+        settled = true;
+        stream.destroy();
+        const unlink = () => fs.unlink(tmpPath, () => {});
+        if (file.closed) unlink();
+        else file.once("close", unlink);
+      }
+
+      return {
+        stream,
+        async commit() {
+          if (settled) return null;
+          settled = true;
+          try {
+            await finished(stream);
+            await finished(file);
+            const entry = await put(key, tmpPath, { ext });
+            if (!entry) fs.unlink(tmpPath, () => {});
+            return entry;
+          } catch (err) {
+            fs.unlink(tmpPath, () => {});
+            throw err;
+          }
+        },
+        discard,
+      };
+    },
+
+    stats() {
+      const byKind = {};
+      for (const entry of entries.values()) {
+        const kind = kindOf(entry.key);
+        byKind[kind] = (byKind[kind] || 0) + 1;
+      }
+      return { entries: entries.size, bytes: totalBytes, maxBytes, byKind };
+    },
+  };
+}
+
+module.exports = { keyHash, createMediaStore };
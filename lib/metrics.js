@@ -0,0 +1,164 @@
+"use strict";
+
+// ---------------------------
+// MINIMAL PROMETHEUS REGISTRY
+// ---------------------------
+// Counters, gauges and histograms with labels, rendered in the Prometheus
+// text exposition format (version 0.0.4).
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(v) {
+  return String(v)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map(
+    (name, i) => `${name}="${escapeLabelValue(values[i])}"`
+  );
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // series: Map<JSON label values, { values, ... }>
+  function register(type, { name, help, labelNames = [] }, extra = {}) {
+    const metric = {
+      type,
+      name,
+      help,
+      labelNames,
+      series: new Map(),
+      ...extra,
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const values = metric.labelNames.map((n) => labels[n] ?? "");
+    const key = JSON.stringify(values);
+    let s = metric.series.get(key);
+    if (!s) {
+      s = { values, ...init() };
+      metric.series.set(key, s);
+    }
+    return s;
+  }
+
+  return {
+    counter(opts) {
+      const m = register("counter", opts);
+      return {
+        inc(labels = {}, n = 1) {
+          seriesFor(m, labels, () => ({ value: 0 })).value += n;
+        },
+      };
+    },
+
+    // collect(): optional, called (with this = the gauge) before each render
+    gauge(opts) {
+      const m = register("gauge", opts);
+      const api = {
+        set(labels, value) {
+          seriesFor(m, labels, () => ({ value: 0 })).value = value;
+        },
+      };
+      if (opts.collect) m.collect = () => opts.collect.call(api);
+      return api;
+    },
+
+    histogram(opts) {
+      const buckets = [...(opts.buckets || DEFAULT_BUCKETS)].sort(
+        (a, b) => a - b
+      );
+      const m = register("histogram", opts, { buckets });
+      const api = {
+        observe(labels, value) {
+          const s = seriesFor(m, labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+        // Returns a function that observes the seconds elapsed since now
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            api.observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+          };
+        },
+      };
+      return api;
+    },
+
+    async render() {
+      const lines = [];
+
+      for (const m of metrics) {
+        if (m.collect) await m.collect();
+
+        lines.push(`# HELP ${m.name} ${m.help}`);
+        lines.push(`# TYPE ${m.name} ${m.type}`);
+
+        for (const s of m.series.values()) {
+          if (m.type !== "histogram") {
+            lines.push(
+              `${m.name}${formatLabels(m.labelNames, s.values)} ${formatValue(
+                s.value
+              )}`
+            );
+            continue;
+          }
+
+          m.buckets.forEach((le, i) => {
+            lines.push(
+              `${m.name}_bucket${formatLabels(
+                m.labelNames,
+                s.values,
+                `le="${le}"`
+              )} ${s.counts[i]}`
+            );
+          });
+          lines.push(
+            `${m.name}_bucket${formatLabels(
+              m.labelNames,
+              s.values,
+              'le="+Inf"'
+            )} ${s.count}`
+          );
+          lines.push(
+            `${m.name}_sum${formatLabels(m.labelNames, s.values)} ${s.sum}`
+          );
+          lines.push(
+            `${m.name}_count${formatLabels(m.labelNames, s.values)} ${s.count}`
+          );
+        }
+      }
+
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createRegistry };
@@ -0,0 +1,217 @@
+"use strict";
+
+const fs = require("fs");
+
+// ---------------------------
+// PLATFORM DEFINITIONS
+// ---------------------------
+// name -> {
+//   enabled,        false = URLs on these hosts are rejected
+//   hosts,          registrable domains; subdomains match too
+//   paths,          optional regex strings, one must match the pathname
+//   cookiesFile,    fallback cookie file in the project root
+//   cookieDomains,  domains an uploaded cookie jar must cover (default: hosts)
+//   loginCookies,   any one of these marks a logged-in jar
+//   extraArgs,      appended to every yt-dlp call for the platform
+//   format,         yt-dlp -f selector for downloads without a formatId
+//   previewFormat,  yt-dlp -f selector for previews
+//   concurrency,    most yt-dlp runs at once for this platform (default: no
+//                   limit beyond the global one)
+// }
+const DEFAULT_UA =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+const BUILTIN_PLATFORMS = {
+  youtube: {
+    hosts: ["youtube.com", "youtu.be", "youtube-nocookie.com"],
+    cookiesFile: "youtube-cookies.txt",
+    cookieDomains: ["youtube.com", "google.com"],
+    loginCookies: ["SID", "__Secure-1PSID", "__Secure-3PSID", "LOGIN_INFO"],
+    extraArgs: ["--no-playlist", "--no-warnings"],
+    // You can keep this if you must, but it can add overhead.
+    // extraArgs: ["--no-playlist","--no-warnings","--extractor-args","youtube:player_client=android,web"],
+  },
+  instagram: {
+    hosts: ["instagram.com", "instagr.am"],
+    cookiesFile: "instagram-cookies.txt",
+    cookieDomains: ["instagram.com"],
+    loginCookies: ["sessionid"],
+    extraArgs: [
+      "--no-warnings",
+      "--no-check-certificate",
+      "--user-agent",
+      DEFAULT_UA,
+    ],
+  },
+  tiktok: {
+    hosts: ["tiktok.com"],
+    cookiesFile: "tiktok-cookies.txt",
+    loginCookies: ["sessionid", "sessionid_ss", "sid_tt"],
+    extraArgs: ["--no-warnings"],
+  },
+  facebook: {
+    hosts: ["facebook.com", "fb.watch", "fb.com"],
+    cookiesFile: "facebook-cookies.txt",
+    cookieDomains: ["facebook.com"],
+    loginCookies: ["c_user", "xs"],
+    extraArgs: ["--no-warnings", "--no-check-certificate"],
+  },
+  twitter: {
+    hosts: ["x.com", "twitter.com"],
+    paths: ["/status/", "/i/broadcasts/", "/i/spaces/"],
+    cookiesFile: "twitter-cookies.txt",
+    loginCookies: ["auth_token"],
+    extraArgs: ["--no-warnings"],
+  },
+  reddit: {
+    hosts: ["reddit.com", "redd.it"],
+    cookiesFile: "reddit-cookies.txt",
+    loginCookies: ["reddit_session", "token_v2"],
+    extraArgs: ["--no-warnings"],
+  },
+  vimeo: {
+    hosts: ["vimeo.com"],
+    cookiesFile: "vimeo-cookies.txt",
+    loginCookies: ["vimeo"],
+    extraArgs: ["--no-warnings"],
+  },
+  dailymotion: {
+    hosts: ["dailymotion.com", "dai.ly"],
+    cookiesFile: "dailymotion-cookies.txt",
+    extraArgs: ["--no-warnings"],
+  },
+  pinterest: {
+    hosts: ["pinterest.com", "pin.it"],
+    cookiesFile: "pinterest-cookies.txt",
+    loginCookies: ["_pinterest_sess"],
+    extraArgs: ["--no-warnings"],
+  },
+  snapchat: {
+    hosts: ["snapchat.com"],
+    cookiesFile: "snapchat-cookies.txt",
+    extraArgs: ["--no-warnings"],
+  },
+};
+
+// Any other http(s) URL, through yt-dlp's own extractors and its generic
+// fallback. Off unless enabled; "hosts" limits it to those sites.
+const GENERIC_DEFAULTS = {
+  enabled: false,
+  hosts: [],
+  cookiesFile: null,
+  loginCookies: [],
+  extraArgs: ["--no-warnings", "--no-playlist"],
+};
+
+function normalizeHost(host) {
+  return String(host || "")
+    .toLowerCase()
+    .replace(/^\*\./, "")
+    .replace(/\.$/, "");
+}
+
+function hostMatches(hostname, hosts) {
+  return hosts.some((h) => hostname === h || hostname.endsWith(`.${h}`));
+}
+
+function normalizePlatform(name, def) {
+  const hosts = (def.hosts || []).map(normalizeHost).filter(Boolean);
+  return {
+    name,
+    enabled: def.enabled !== false,
+    hosts,
+    paths: (def.paths || []).map((p) => new RegExp(p, "i")),
+    cookiesFile: def.cookiesFile || null,
+    cookieDomains: (def.cookieDomains || hosts).map(normalizeHost),
+    loginCookies: def.loginCookies || [],
+    extraArgs: def.extraArgs || [],
+    format: def.format || null,
+    previewFormat: def.previewFormat || null,
+    concurrency: Number(def.concurrency) || null,
+  };
+}
+
+// ---------------------------
+// CONFIG FILE
+// ---------------------------
+// { "platforms": { "<name>": { ...fields above } }, "generic": { ... } }
+// Entries are merged over the built-ins field by field, so
+// { "vimeo": { "enabled": false } } only switches Vimeo off.
+function loadPlatformConfig(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { platforms: json.platforms || {}, generic: json.generic || {} };
+}
+
+function createPlatformRegistry({ file, genericEnabled } = {}) {
+  const config = loadPlatformConfig(file);
+
+  const platforms = {};
+  const names = new Set([
+    ...Object.keys(BUILTIN_PLATFORMS),
+    ...Object.keys(config.platforms || {}),
+  ]);
+  for (const name of names) {
+    if (name === "generic") continue;
+    platforms[name] = normalizePlatform(name, {
+      ...BUILTIN_PLATFORMS[name],
+      ...config.platforms?.[name],
+    });
+  }
+
+  const generic = normalizePlatform("generic", {
+    ...GENERIC_DEFAULTS,
+    ...config.generic,
+    ...(genericEnabled != null ? { enabled: genericEnabled } : {}),
+  });
+
+  // Returns the platform name for a URL, or null when it is not served.
+  // Host matching works on the parsed hostname, so
+  // "https://evil.com/?youtube.com" is not YouTube.
+  function detect(url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return null;
+    }
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    const hostname = normalizeHost(u.hostname);
+
+    // A known site (disabled, or a page without media) never falls through
+    // to generic
+    let knownHost = false;
+    for (const p of Object.values(platforms)) {
+      if (!hostMatches(hostname, p.hosts)) continue;
+      knownHost = true;
+      if (p.paths.length && !p.paths.some((re) => re.test(u.pathname)))
+        continue;
+      if (p.enabled) return p.name;
+    }
+
+    if (knownHost || !generic.enabled) return null;
+    if (generic.hosts.length && !hostMatches(hostname, generic.hosts))
+      return null;
+    return "generic";
+  }
+
+  function get(name) {
+    if (name === "generic") return generic.enabled ? generic : null;
+    return platforms[name]?.enabled ? platforms[name] : null;
+  }
+
+  // Enabled named platforms (generic excluded)
+  function list() {
+    return Object.values(platforms).filter((p) => p.enabled);
+  }
+
+  return { detect, get, list, generic };
+}
+
+module.exports = {
+  BUILTIN_PLATFORMS,
+  GENERIC_DEFAULTS,
+  normalizeHost,
+  hostMatches,
+  createPlatformRegistry,
+};
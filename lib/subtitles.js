@@ -0,0 +1,159 @@
+"use strict";
+
+// ---------------------------
+// SUBTITLE PARSING + CONVERSION
+// ---------------------------
+// Every source format is parsed into cues: [{ start, end, text }] with
+// start/end in seconds, then rendered as SRT, WebVTT or JSON.
+
+// Source formats we can parse, best first
+const SOURCE_EXTS = ["vtt", "srt", "json3"];
+
+// "01:02:03.456", "02:03.456", "01:02:03,456" -> seconds
+function parseTimestamp(str) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(str.trim());
+  if (!m) return null;
+  const [, h = "0", min, sec, frac] = m;
+  return (
+    Number(h) * 3600 +
+    Number(min) * 60 +
+    Number(sec) +
+    Number(frac.padEnd(3, "0")) / 1000
+  );
+}
+
+function formatTimestamp(seconds, sep) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor((ms % 3_600_000) / 60_000);
+  const s = Math.floor((ms % 60_000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+// Strip styling/karaoke tags (<c>, <00:00:01.000>, <b>...) and entities
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Shared by VTT and SRT: blocks separated by blank lines, each with a
+// "start --> end" timing line followed by text lines.
+function parseTimedBlocks(text) {
+  const cues = [];
+  const blocks = text.replace(/\r\n?/g, "\n").split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIdx = lines.findIndex((l) => l.includes("-->"));
+    if (timingIdx === -1) continue;
+
+    const [startStr, rest] = lines[timingIdx].split("-->");
+    const endStr = rest.trim().split(/\s+/)[0]; // drop VTT cue settings
+    const start = parseTimestamp(startStr);
+    const end = parseTimestamp(endStr);
+    if (start == null || end == null) continue;
+
+    const cueText = cleanCueText(lines.slice(timingIdx + 1).join("\n"));
+    if (cueText) cues.push({ start, end, text: cueText });
+  }
+
+  return cues;
+}
+
+// YouTube auto-captions repeat the previous line at the top of each cue
+// ("rolling" captions); drop lines already shown by the cue before.
+function dedupeRollingCues(cues) {
+  const out = [];
+  let prevLines = [];
+
+  for (const cue of cues) {
+    const lines = cue.text.split("\n");
+    const fresh = lines.filter((l) => !prevLines.includes(l));
+    prevLines = lines;
+    if (fresh.length) out.push({ ...cue, text: fresh.join("\n") });
+  }
+
+  return out;
+}
+
+function parseVtt(text) {
+  return dedupeRollingCues(parseTimedBlocks(text));
+}
+
+function parseSrt(text) {
+  return parseTimedBlocks(text);
+}
+
+// YouTube's json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+function parseJson3(text) {
+  const json = typeof text === "string" ? JSON.parse(text) : text;
+  const events = Array.isArray(json?.events) ? json.events : [];
+
+  return events
+    .filter((e) => Array.isArray(e.segs))
+    .map((e) => ({
+      start: Number(e.tStartMs || 0) / 1000,
+      end: (Number(e.tStartMs || 0) + Number(e.dDurationMs || 0)) / 1000,
+      text: cleanCueText(e.segs.map((s) => s.utf8 || "").join("")),
+    }))
+    .filter((c) => c.text);
+}
+
+function parseTrack(text, ext) {
+  switch (ext) {
+    case "vtt":
+      return parseVtt(text);
+    case "srt":
+      return parseSrt(text);
+    case "json3":
+      return parseJson3(text);
+    default:
+      throw new Error(`Unsupported subtitle format: ${ext}`);
+  }
+}
+
+function toSrt(cues) {
+  return cues
+    .map(
+      (c, i) =>
+        `${i + 1}\n${formatTimestamp(c.start, ",")} --> ${formatTimestamp(
+          c.end,
+          ","
+        )}\n${c.text}\n`
+    )
+    .join("\n");
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map(
+      (c) =>
+        `${formatTimestamp(c.start, ".")} --> ${formatTimestamp(
+          c.end,
+          "."
+        )}\n${c.text}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+module.exports = {
+  SOURCE_EXTS,
+  parseTimestamp,
+  formatTimestamp,
+  parseVtt,
+  parseSrt,
+  parseJson3,
+  parseTrack,
+  toSrt,
+  toVtt,
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+const path = require("path");
+const { spawn } = require("child_process");
+
+// ---------------------------
+// CHILD PROCESS SUPERVISOR
+// ---------------------------
+// Every yt-dlp and ffmpeg child is spawned through here, so the service
+// knows what is running, every kind of work has a deadline, and shutdown can
+// stop all of it:
+//   spawn(bin, args, options, { kind, timeoutMs, onTimeout }) -> ChildProcess
+// kind labels the work ("extract", "preview", "download", ...). timeoutMs
+// (0 = none) counts from the spawn; when it runs out, onTimeout() is called
+// and the child is killed with SIGKILL. "close" still follows every child,
+// even one that failed to spawn (after "error"), so callers free what they
+// hold in their "close" handler and nowhere else. After stopAll(), children
+// are killed as soon as they are spawned (queued work that got its slot
+// from a stopped one).
+function createProcessSupervisor({ killGraceMs = 2_000 } = {}) {
+  const children = new Set(); // { proc, bin, kind, startedAt, timeoutMs, timer }
+  let stopping = false;
+
+  function supervisedSpawn(bin, args, options = {}, run = {}) {
+    const { kind = "other", timeoutMs = 0, onTimeout = () => {} } = run;
+    const proc = spawn(bin, args, options);
+    const child = {
+      proc,
+      bin: path.basename(bin),
+      kind,
+      startedAt: Date.now(),
+      timeoutMs,
+      timer: null,
+    };
+    children.add(child);
+
+    if (timeoutMs > 0) {
+      child.timer = setTimeout(() => {
+        onTimeout();
+        proc.kill("SIGKILL");
+      }, timeoutMs);
+    }
+
+    // "exit" is the process gone; a child that never started only closes
+    const forget = () => {
+      clearTimeout(child.timer);
+      children.delete(child);
+    };
+    proc.once("exit", forget);
+    proc.once("close", forget);
+
+    if (stopping) proc.kill("SIGKILL");
+    return proc;
+  }
+
+  // SIGTERM to every child (ffmpeg finalizes its output, yt-dlp removes its
+  // .part files), SIGKILL to those still there after killGraceMs. Resolves
+  // once they are all gone.
+  function stopAll() {
+    stopping = true;
+    // one that failed to spawn has no process to stop and never exits
+    const running = [...children].filter(({ proc }) => proc.pid !== undefined);
+    const exited = running.map(
+      ({ proc }) => new Promise((resolve) => proc.once("exit", resolve))
+    );
+    for (const { proc } of running) proc.kill("SIGTERM");
+
+    const timer = setTimeout(() => {
+      for (const { proc } of running) {
+        if (proc.exitCode === null && proc.signalCode === null)
+          proc.kill("SIGKILL");
+      }
+    }, killGraceMs);
+    return Promise.all(exited).finally(() => clearTimeout(timer));
+  }
+
+  return {
+    spawn: supervisedSpawn,
+    stopAll,
+
+    // Oldest first
+    list() {
+      return [...children].map((child) => ({
+        pid: child.proc.pid ?? null,
+        bin: child.bin,
+        kind: child.kind,
+        startedAt: child.startedAt,
+        timeoutMs: child.timeoutMs || null,
+      }));
+    },
+
+    // kind -> running children
+    counts() {
+      const out = {};
+      for (const { kind } of children) out[kind] = (out[kind] || 0) + 1;
+      return out;
+    },
+
+    get size() {
+      return children.size;
+    },
+  };
+}
+
+module.exports = { createProcessSupervisor };
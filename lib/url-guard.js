@@ -0,0 +1,156 @@
+"use strict";
+
+const dns = require("dns");
+const net = require("net");
+const { LRUCache } = require("lru-cache");
+const { ApiError } = require("./errors");
+const { normalizeHost, hostMatches } = require("./platforms");
+
+// ---------------------------
+// PRIVATE ADDRESS RANGES
+// ---------------------------
+// Everything that is not the public internet: loopback, RFC 1918, CGNAT,
+// link-local (cloud metadata lives at 169.254.169.254), multicast, reserved.
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+];
+
+const privateList = new net.BlockList();
+for (const [addr, prefix, type] of PRIVATE_RANGES) {
+  privateList.addSubnet(addr, prefix, type);
+}
+
+// IPv6 forms that embed an IPv4 address: ::ffff:a.b.c.d (mapped) and
+// 64:ff9b::a.b.c.d (NAT64)
+function embeddedIpv4(ip) {
+  const m = /^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (m) return m[1];
+
+  const hex = /^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(
+    ip
+  );
+  if (!hex) return null;
+  const hi = parseInt(hex[1], 16);
+  const lo = parseInt(hex[2], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return true; // not an address we understand: refuse
+  if (family === 6) {
+    const v4 = embeddedIpv4(ip);
+    if (v4) return privateList.check(v4, "ipv4");
+  }
+  return privateList.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+// ---------------------------
+// URL GUARD
+// ---------------------------
+// check(url, { lists }) resolves when yt-dlp may fetch the URL and throws an
+// ApiError otherwise (lists: false skips the host lists, for CDN URLs found
+// in metadata):
+//   URL_NOT_ALLOWED    host on the deny list, or missing from the allow list
+//   PRIVATE_ADDRESS    host is, or resolves to, a non-public address
+//   HOST_UNRESOLVABLE  DNS lookup failed
+// Lookups are cached briefly; yt-dlp resolves again on its own, so an egress
+// firewall is still the only complete answer to DNS rebinding.
+function createUrlGuard({
+  allowHosts = [],
+  denyHosts = [],
+  allowPrivate = false,
+  lookupTimeoutMs = 5_000,
+  lookup = (host) => dns.promises.lookup(host, { all: true, verbatim: true }),
+}) {
+  const allow = allowHosts.map(normalizeHost).filter(Boolean);
+  const deny = denyHosts.map(normalizeHost).filter(Boolean);
+  // hostname -> Promise<addresses[]>
+  const resolved = new LRUCache({ max: 1000, ttl: 60_000 });
+
+  function resolve(hostname) {
+    let p = resolved.get(hostname);
+    if (!p) {
+      let timer;
+      p = Promise.race([
+        lookup(hostname),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`DNS lookup timed out`)),
+            lookupTimeoutMs
+          );
+        }),
+      ]).finally(() => clearTimeout(timer));
+      // failures are not cached
+      p.catch(() => resolved.delete(hostname));
+      resolved.set(hostname, p);
+    }
+    return p;
+  }
+
+  async function check(url, { lists = true } = {}) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      throw new ApiError("UNSUPPORTED_URL", { details: `unparsable: ${url}` });
+    }
+    const hostname = normalizeHost(u.hostname.replace(/^\[|\]$/g, ""));
+
+    if (lists && hostMatches(hostname, deny)) {
+      throw new ApiError("URL_NOT_ALLOWED", { details: `denied: ${hostname}` });
+    }
+    if (lists && allow.length && !hostMatches(hostname, allow)) {
+      throw new ApiError("URL_NOT_ALLOWED", {
+        details: `not allowed: ${hostname}`,
+      });
+    }
+    if (allowPrivate) return;
+
+    if (net.isIP(hostname)) {
+      if (isPrivateAddress(hostname)) {
+        throw new ApiError("PRIVATE_ADDRESS", { details: hostname });
+      }
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await resolve(hostname);
+    } catch (err) {
+      throw new ApiError("HOST_UNRESOLVABLE", {
+        cause: err,
+        details: `${hostname}: ${err.message}`,
+      });
+    }
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      throw new ApiError("PRIVATE_ADDRESS", {
+        details: `${hostname} -> ${blocked.address}`,
+      });
+    }
+  }
+
+  return { check };
+}
+
+module.exports = { PRIVATE_RANGES, isPrivateAddress, createUrlGuard };
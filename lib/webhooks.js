@@ -0,0 +1,218 @@
+"use strict";
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+// ---------------------------
+// SIGNATURES
+// ---------------------------
+// X-Imvid-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers recompute the HMAC over the raw request body and drop requests
+// whose t is too old, so a captured delivery cannot be replayed later.
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+function verifySignature(
+  secret,
+  body,
+  header,
+  { toleranceSeconds = 300, now = Date.now() } = {}
+) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+  );
+  const t = Number(parts.t);
+  if (!t || !parts.v1) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, t).split("v1=")[1]);
+  const given = Buffer.from(String(parts.v1));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+// ---------------------------
+// DELIVERIES
+// ---------------------------
+// delivery: { id, clientId, event, url, status, attempts, nextAttemptAt,
+//             createdAt, updatedAt }
+// status: pending -> delivered | failed
+// attempts: [{ at, responseStatus, error, durationMs }]
+// The body (and so the delivery id receivers dedupe on) is identical across
+// retries; only the signature timestamp changes.
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another try; any
+// other answer means the receiver does not want this delivery.
+function isRetryable(responseStatus) {
+  if (responseStatus == null) return true;
+  return (
+    responseStatus === 408 || responseStatus === 429 || responseStatus >= 500
+  );
+}
+
+function toPublicDelivery(d) {
+  return {
+    id: d.id,
+    event: d.event,
+    url: d.url,
+    status: d.status,
+    attempts: d.attempts,
+    nextAttemptAt: d.nextAttemptAt,
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  };
+}
+
+// checkUrl(url): async, throws when the URL may not be called (runs before
+// every attempt, so a host that starts resolving to a private address is
+// caught too). onOutcome(delivery, "delivered" | "retry" | "failed").
+function createWebhookDispatcher({
+  maxAttempts = 6,
+  baseDelayMs = 5_000,
+  timeoutMs = 10_000,
+  logSize = 1000,
+  checkUrl = async () => {},
+  onOutcome = () => {},
+  post = (url, body, options) => axios.post(url, body, options),
+}) {
+  const deliveries = new Map(); // insertion order = oldest first
+
+  function remember(d) {
+    deliveries.set(d.id, d);
+    // pending retries keep their own reference; the log just forgets them
+    for (const id of deliveries.keys()) {
+      if (deliveries.size <= logSize) break;
+      deliveries.delete(id);
+    }
+  }
+
+  function backoff(attempt) {
+    const jitter = 0.8 + Math.random() * 0.4;
+    return Math.round(baseDelayMs * 2 ** (attempt - 1) * jitter);
+  }
+
+  async function attempt(d, body, secret) {
+    const started = Date.now();
+    const record = {
+      at: started,
+      responseStatus: null,
+      error: null,
+      durationMs: 0,
+    };
+    let retryable = true;
+
+    try {
+      await checkUrl(d.url);
+    } catch (err) {
+      record.error = err.code || err.message;
+      retryable = false;
+    }
+
+    if (!record.error) {
+      try {
+        const resp = await post(d.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "api.imvid-webhooks",
+            "X-Imvid-Event": d.event,
+            "X-Imvid-Delivery": d.id,
+            "X-Imvid-Attempt": String(d.attempts.length + 1),
+            "X-Imvid-Signature": signPayload(secret, body),
+          },
+          timeout: timeoutMs,
+          maxRedirects: 0,
+          maxContentLength: 64 * 1024,
+          responseType: "text",
+          transformResponse: (x) => x,
+          validateStatus: () => true,
+        });
+        record.responseStatus = resp.status;
+        retryable = isRetryable(resp.status);
+      } catch (err) {
+        record.error = err.code || err.message;
+      }
+    }
+
+    record.durationMs = Date.now() - started;
+    d.attempts.push(record);
+    d.updatedAt = Date.now();
+
+    const ok = record.responseStatus >= 200 && record.responseStatus < 300;
+    if (ok) {
+      d.status = "delivered";
+      d.nextAttemptAt = null;
+      onOutcome(d, "delivered");
+      return;
+    }
+    if (!retryable || d.attempts.length >= maxAttempts) {
+      d.status = "failed";
+      d.nextAttemptAt = null;
+      onOutcome(d, "failed");
+      console.warn(
+        `⚠️ Webhook ${d.event} to ${d.url} failed after ${d.attempts.length} attempt(s): ${
+          record.error || `HTTP ${record.responseStatus}`
+        }`
+      );
+      return;
+    }
+
+    const delay = backoff(d.attempts.length);
+    d.nextAttemptAt = Date.now() + delay;
+    onOutcome(d, "retry");
+    setTimeout(() => attempt(d, body, secret), delay).unref();
+  }
+
+  return {
+    // Queues the first attempt right away; returns the public delivery
+    send({ clientId, url, secret, event, data }) {
+      const now = Date.now();
+      const d = {
+        id: crypto.randomUUID(),
+        clientId,
+        event,
+        url,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+      };
+      const body = JSON.stringify({ id: d.id, event, createdAt: now, data });
+      remember(d);
+      setImmediate(() => attempt(d, body, secret));
+      return toPublicDelivery(d);
+    },
+
+    get(id) {
+      return deliveries.get(id) || null;
+    },
+
+    // Newest first; clientId null = every client
+    list({ clientId = null, status = null, limit = 50 } = {}) {
+      const out = [];
+      for (const d of [...deliveries.values()].reverse()) {
+        if (clientId && d.clientId !== clientId) continue;
+        if (status && d.status !== status) continue;
+        out.push(toPublicDelivery(d));
+        if (out.length >= limit) break;
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  createWebhookDispatcher,
+  toPublicDelivery,
+};
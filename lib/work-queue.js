@@ -0,0 +1,240 @@
+"use strict";
+
+const crypto = require("crypto");
+const { default: PQueue } = require("p-queue");
+const { ApiError } = require("./errors");
+
+// ---------------------------
+// PRIORITY CLASSES
+// ---------------------------
+// interactive: a client is waiting for the answer (info, previews, ...)
+// warmup:      background work nobody asked for yet (preview warm-up)
+// bulk:        long transfers (downloads, jobs)
+const PRIORITIES = { interactive: 2, warmup: 1, bulk: 0 };
+
+function cancelled(details) {
+  return new ApiError("CANCELLED", { details });
+}
+
+// Takes one slot of a p-queue and holds it until the resolved release() is
+// called. The abort signal only drops a waiter: it is not handed to p-queue,
+// which would free a slot that is still in use when it fires later.
+// A dropped waiter stays in p-queue until its turn and then returns at once.
+function lease(queue, { id, priority, signal }) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    queue.add(
+      () => {
+        signal.removeEventListener("abort", onAbort);
+        if (signal.aborted) return null;
+        return new Promise((done) => resolve(done));
+      },
+      { id, priority }
+    );
+  });
+}
+
+// ---------------------------
+// WORK QUEUE
+// ---------------------------
+// acquire(work) resolves to release() once a slot is free, where
+//   work: { priority, platform, signal, key, label }
+// A task passes up to three gates, always in this order so no two tasks
+// can wait on each other: bulk (bulkConcurrency slots shared by all bulk
+// work), the platform's own limit (platformConcurrency[platform]), then the
+// queue's concurrency. key names deduplicated work, so a client joining a
+// background warm-up can promote() it.
+function createWorkQueue({
+  name,
+  concurrency,
+  platformConcurrency = {},
+  bulkConcurrency = concurrency,
+  onWait = () => {},
+}) {
+  const main = new PQueue({ concurrency });
+  const bulk =
+    bulkConcurrency < concurrency
+      ? new PQueue({ concurrency: bulkConcurrency })
+      : null;
+  const platforms = new Map(); // platform -> PQueue
+  const tasks = new Map(); // id -> task, queued and running
+
+  function platformQueue(platform) {
+    const limit = Number(platformConcurrency[platform] || 0);
+    if (!limit) return null;
+    if (!platforms.has(platform)) {
+      platforms.set(platform, new PQueue({ concurrency: limit }));
+    }
+    return platforms.get(platform);
+  }
+
+  function gatesFor(task) {
+    return [
+      task.priority === "bulk" ? bulk : null,
+      platformQueue(task.platform),
+      main,
+    ].filter(Boolean);
+  }
+
+  async function acquire({
+    priority = "interactive",
+    platform = null,
+    signal = null,
+    key = null,
+    label = "",
+  } = {}) {
+    if (!(priority in PRIORITIES)) priority = "interactive";
+    const controller = new AbortController();
+    const task = {
+      id: crypto.randomUUID(),
+      priority,
+      platform,
+      key,
+      label,
+      state: "queued",
+      queuedAt: Date.now(),
+      startedAt: null,
+      waiting: null, // { queue, leaseId } while queued
+      controller,
+    };
+    tasks.set(task.id, task);
+
+    const abort = signal
+      ? AbortSignal.any([signal, controller.signal])
+      : controller.signal;
+    const releases = [];
+    try {
+      abort.throwIfAborted();
+      for (const [i, queue] of gatesFor(task).entries()) {
+        const leaseId = `${task.id}:${i}`;
+        task.waiting = { queue, leaseId };
+        releases.push(
+          await lease(queue, {
+            id: leaseId,
+            priority: PRIORITIES[task.priority],
+            signal: abort,
+          })
+        );
+      }
+    } catch (err) {
+      releases.forEach((release) => release());
+      tasks.delete(task.id);
+      throw err instanceof ApiError ? err : cancelled(String(err?.message));
+    }
+
+    task.waiting = null;
+    task.state = "running";
+    task.startedAt = Date.now();
+    onWait((task.startedAt - task.queuedAt) / 1000);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      tasks.delete(task.id);
+      releases.reverse().forEach((release) => release());
+    };
+  }
+
+  // Raises queued tasks with this key (never lowers them)
+  function promote(key, priority) {
+    for (const task of tasks.values()) {
+      if (task.key !== key || task.state !== "queued") continue;
+      if (PRIORITIES[priority] <= PRIORITIES[task.priority]) continue;
+      task.priority = priority;
+      const { queue, leaseId } = task.waiting || {};
+      try {
+        queue?.setPriority(leaseId, PRIORITIES[priority]);
+      } catch {} // its slot was granted in the meantime
+    }
+  }
+
+  // "cancelled" | "running" (only queued work can be cancelled) | null
+  function cancel(id, reason = "cancelled") {
+    const task = tasks.get(id);
+    if (!task) return null;
+    if (task.state !== "queued") return "running";
+    task.controller.abort(cancelled(reason));
+    return "cancelled";
+  }
+
+  function toPublicTask(task) {
+    return {
+      id: task.id,
+      queue: name,
+      priority: task.priority,
+      platform: task.platform,
+      label: task.label,
+      state: task.state,
+      queuedAt: task.queuedAt,
+      startedAt: task.startedAt,
+    };
+  }
+
+  return {
+    name,
+    acquire,
+    promote,
+    cancel,
+
+    // Running first, then queued in the order they will start
+    list() {
+      return [...tasks.values()]
+        .sort(
+          (a, b) =>
+            (a.state === "running" ? 0 : 1) - (b.state === "running" ? 0 : 1) ||
+            PRIORITIES[b.priority] - PRIORITIES[a.priority] ||
+            a.queuedAt - b.queuedAt
+        )
+        .map(toPublicTask);
+    },
+
+    stats() {
+      const out = { running: 0, queued: 0, max: concurrency, byPriority: {} };
+      for (const p of Object.keys(PRIORITIES)) {
+        out.byPriority[p] = { running: 0, queued: 0 };
+      }
+      for (const task of tasks.values()) {
+        out[task.state]++;
+        out.byPriority[task.priority][task.state]++;
+      }
+      return out;
+    },
+  };
+}
+
+// ---------------------------
+// SHARED CANCELLATION
+// ---------------------------
+// For deduplicated work several requests wait on: the shared signal aborts
+// only once every joined request has gone away. Joining without a signal
+// (background work, webhook callbacks) keeps the work alive for good.
+function createSharedAbort() {
+  const controller = new AbortController();
+  let waiting = 0;
+  let pinned = false;
+
+  return {
+    signal: controller.signal,
+    join(signal) {
+      if (!signal) {
+        pinned = true;
+        return;
+      }
+      if (signal.aborted) return;
+      waiting++;
+      signal.addEventListener(
+        "abort",
+        () => {
+          waiting--;
+          if (!waiting && !pinned) controller.abort(signal.reason);
+        },
+        { once: true }
+      );
+    },
+  };
+}
+
+module.exports = { PRIORITIES, createWorkQueue, createSharedAbort };
@@ -0,0 +1,188 @@
+"use strict";
+
+const http = require("http");
+const { once } = require("events");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { hashKey, createDownloadQuota } = require("../lib/auth");
+const { signProxyTarget } = require("../lib/hls");
+const { STUB_MEDIA_BYTES, stubMedia } = require("./fixtures/media");
+
+// Keyed clients with room for one and a half downloads a day
+process.env.TEST_API_KEYS = "alice-key,bob-key,carol-key";
+process.env.QUOTA_DAILY_DOWNLOAD_BYTES = String(STUB_MEDIA_BYTES * 1.5);
+const { CONFIG, startServer, videoUrl, removeTmpDir } = require("./helpers");
+
+// server: the API; cdn: a platform CDN with one media playlist, every
+// other path is a segment (the stub media)
+let server;
+let cdn;
+test.before(async () => {
+  server = await startServer();
+  cdn = http.createServer((req, res) => {
+    if (req.url.endsWith(".m3u8")) {
+      res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+      return res.end("#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:4,\nseg1.ts\n");
+    }
+    res.setHeader("Content-Type", "video/mp2t");
+    res.end(stubMedia());
+  });
+  cdn.listen(0, "127.0.0.1");
+  await once(cdn, "listening");
+});
+test.after(async () => {
+  await server.close();
+  cdn.closeAllConnections();
+  await new Promise((resolve) => cdn.close(resolve));
+  removeTmpDir();
+});
+
+function api(pathname, key, init = {}) {
+  return fetch(`${server.baseUrl}${pathname}`, {
+    ...init,
+    headers: { ...init.headers, "X-API-Key": key },
+  });
+}
+
+async function finishedJob(url, key) {
+  const res = await api("/api/jobs", key, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url }),
+  });
+  assert.equal(res.status, 202);
+  const { statusUrl } = await res.json();
+
+  for (let i = 0; i < 50; i++) {
+    const job = await (await api(statusUrl, key)).json();
+    if (job.status === "completed" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`job ${statusUrl} did not finish`);
+}
+
+test("jobs are only visible to the client that created them", async () => {
+  const job = await finishedJob(videoUrl("owned1"), "alice-key");
+  assert.equal(job.status, "completed");
+
+  for (const pathname of [job.statusUrl, job.fileUrl]) {
+    const res = await api(pathname, "bob-key");
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, "Job not found or expired");
+  }
+  assert.equal((await api(job.statusUrl, "alice-key")).status, 200);
+});
+
+test("the download quota cuts off a transfer that would exceed it", async () => {
+  const job = await finishedJob(videoUrl("quota1"), "bob-key");
+
+  const first = await api(job.fileUrl, "bob-key");
+  assert.equal(first.status, 200);
+  assert.equal((await first.arrayBuffer()).byteLength, STUB_MEDIA_BYTES);
+
+  // usage is recorded once the response closes
+  let remaining = Infinity;
+  for (let i = 0; i < 50 && remaining > STUB_MEDIA_BYTES / 2; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const res = await api(job.fileUrl, "bob-key", { method: "HEAD" });
+    remaining = Number(res.headers.get("x-download-quota-remaining"));
+  }
+  assert.ok(remaining <= STUB_MEDIA_BYTES / 2);
+
+  // a second copy does not fit in what is left
+  await assert.rejects(
+    api(job.fileUrl, "bob-key").then((res) => res.arrayBuffer())
+  );
+
+  // the other client's quota is untouched
+  const own = await finishedJob(videoUrl("quota2"), "alice-key");
+  const res = await api(own.fileUrl, "alice-key");
+  assert.equal((await res.arrayBuffer()).byteLength, STUB_MEDIA_BYTES);
+});
+
+test("the download quota holds when its store is unreachable", async () => {
+  // what a Redis store answers while Redis is down
+  const store = { incrBy: async () => null };
+  const app = express();
+  app.use((req, res, next) => {
+    req.apiClient = { id: "dave", dailyDownloadBytes: 1000 };
+    next();
+  });
+  app.get("/file", createDownloadQuota({ store }), (req, res) => {
+    res.send(Buffer.alloc(600));
+  });
+  const http = app.listen(0, "127.0.0.1");
+  await once(http, "listening");
+  const url = `http://127.0.0.1:${http.address().port}/file`;
+
+  try {
+    const first = await fetch(url);
+    assert.equal((await first.arrayBuffer()).byteLength, 600);
+    await assert.rejects(fetch(url).then((res) => res.arrayBuffer()));
+    const res = await fetch(url, { method: "HEAD" });
+    assert.equal(res.headers.get("x-download-quota-remaining"), "400");
+  } finally {
+    http.closeAllConnections();
+    await new Promise((resolve) => http.close(resolve));
+  }
+});
+
+// A proxy URI as /api/video/hls hands it out to the client with `key`
+function hlsProxyPath(vid, kind, path, key) {
+  const t = signProxyTarget(CONFIG.hls.secret, {
+    vid,
+    formatId: "hls-720",
+    kind,
+    url: `http://127.0.0.1:${cdn.address().port}${path}`,
+    clientId: `key_${hashKey(key).slice(0, 8)}`,
+    exp: Date.now() + 60_000,
+  });
+  return `/api/video/hls/proxy?t=${encodeURIComponent(t)}`;
+}
+
+test("HLS segments count against the download quota", async () => {
+  const info = await api(
+    `/api/video/info?url=${encodeURIComponent(videoUrl("hls1"))}`,
+    "carol-key"
+  );
+  const { videoId } = await info.json();
+  const segment = hlsProxyPath(videoId, "segment", "/seg1.ts", "carol-key");
+
+  const first = await api(segment, "carol-key");
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get("ratelimit-policy"), /"download"/);
+  assert.equal((await first.arrayBuffer()).byteLength, STUB_MEDIA_BYTES);
+
+  let remaining = Infinity;
+  for (let i = 0; i < 50 && remaining > STUB_MEDIA_BYTES / 2; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const res = await api(segment, "carol-key", { method: "HEAD" });
+    remaining = Number(res.headers.get("x-download-quota-remaining"));
+  }
+  assert.ok(remaining <= STUB_MEDIA_BYTES / 2);
+  await assert.rejects(
+    api(segment, "carol-key").then((res) => res.arrayBuffer())
+  );
+});
+
+test("HLS proxy tokens authenticate only the client they were issued to", async () => {
+  const info = await api(
+    `/api/video/info?url=${encodeURIComponent(videoUrl("hls2"))}`,
+    "alice-key"
+  );
+  const { videoId } = await info.json();
+  const playlist = hlsProxyPath(videoId, "playlist", "/720.m3u8", "alice-key");
+
+  // players send no headers; the key in the first URL is not passed on
+  const res = await fetch(`${server.baseUrl}${playlist}&api_key=alice-key`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("cache-control"), /private/);
+  const body = await res.text();
+  assert.doesNotMatch(body, /api_key|alice-key/);
+  const segment = body.split("\n").find((line) => line.startsWith("/api/"));
+
+  const head = await fetch(`${server.baseUrl}${segment}`, { method: "HEAD" });
+  assert.equal(head.status, 200);
+  assert.equal((await api(segment, "bob-key", { method: "HEAD" })).status, 403);
+});
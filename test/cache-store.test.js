@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore, runExclusive } = require("../lib/cache-store");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("memory entries expire after the store's TTL", async () => {
+  const store = createMemoryStore({ ttlMs: 50, maxEntries: 10 });
+  await store.set("a", { v: 1 });
+  assert.deepEqual(await store.get("a"), { v: 1 });
+
+  await sleep(80);
+  assert.equal(await store.get("a"), null);
+  await store.prune();
+  assert.equal(await store.size(), 0);
+});
+
+test("the memory store is bounded, least recently used out first", async () => {
+  const store = createMemoryStore({ ttlMs: 60_000, maxEntries: 2 });
+  await store.set("a", 1);
+  await store.set("b", 2);
+  await store.get("a");
+  await store.set("c", 3);
+
+  assert.equal(await store.get("a"), 1);
+  assert.equal(await store.get("b"), null);
+  assert.equal(await store.get("c"), 3);
+});
+
+test("locks are exclusive until released or expired", async () => {
+  const store = createMemoryStore({ ttlMs: 60_000, maxEntries: 10 });
+  const token = await store.acquireLock("k", 50);
+  assert.ok(token);
+  assert.equal(await store.acquireLock("k", 50), null);
+
+  await store.releaseLock("k", "not-the-token");
+  assert.equal(await store.acquireLock("k", 50), null);
+
+  await sleep(80);
+  assert.ok(await store.acquireLock("k", 50));
+});
+
+test("runExclusive computes once and waiters read the published result", async () => {
+  const store = createMemoryStore({ ttlMs: 60_000, maxEntries: 10 });
+  let computed = 0;
+  const run = () =>
+    runExclusive(store, "lock:x", {
+      lockTtlMs: 1000,
+      pollMs: 10,
+      lookup: () => store.get("x"),
+      compute: async () => {
+        computed++;
+        await sleep(30);
+        await store.set("x", "result");
+        return "result";
+      },
+    });
+
+  assert.deepEqual(await Promise.all([run(), run(), run()]), [
+    "result",
+    "result",
+    "result",
+  ]);
+  assert.equal(computed, 1);
+});
+
+test("runExclusive gives up on a lock that is never released", async () => {
+  const store = createMemoryStore({ ttlMs: 60_000, maxEntries: 10 });
+  await store.acquireLock("lock:stuck", 10_000);
+
+  await assert.rejects(
+    runExclusive(store, "lock:stuck", {
+      lockTtlMs: 30,
+      pollMs: 10,
+      lookup: () => store.get("stuck"),
+      compute: async () => "never",
+    }),
+    { name: "ApiError", code: "UPSTREAM_TIMEOUT", status: 504 }
+  );
+});
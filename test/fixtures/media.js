@@ -0,0 +1,28 @@
+"use strict";
+
+const fs = require("fs");
+
+// ---------------------------
+// CANNED MEDIA
+// ---------------------------
+// Every "media file" the stub binaries produce is this buffer, so range
+// tests can compare bytes. 251 is prime: a slice at the wrong offset never
+// matches by accident.
+const STUB_MEDIA_BYTES = 8192;
+
+function stubMedia() {
+  const buf = Buffer.alloc(STUB_MEDIA_BYTES);
+  for (let i = 0; i < buf.length; i++) buf[i] = i % 251;
+  return buf;
+}
+
+// One JSON line per stub invocation, see stubCalls() in test/helpers.js
+function logCall(tool, args) {
+  if (!process.env.STUB_LOG) return;
+  fs.appendFileSync(
+    process.env.STUB_LOG,
+    JSON.stringify({ tool, args }) + "\n"
+  );
+}
+
+module.exports = { STUB_MEDIA_BYTES, stubMedia, logCall };
@@ -0,0 +1,156 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fixture = require("./fixtures/video.json");
+const {
+  buildAudioFormats,
+  buildAvailableFormats,
+  parseFormatFilters,
+  filterFormats,
+} = require("../lib/formats");
+
+function rawWith(formatIds, extra = []) {
+  return {
+    ...fixture,
+    formats: [
+      ...fixture.formats.filter((f) => formatIds.includes(f.format_id)),
+      ...extra,
+    ],
+  };
+}
+
+test("audio formats are the audio-only ones, best bitrate first", () => {
+  const audio = buildAudioFormats(fixture);
+  assert.deepEqual(
+    audio.map((a) => [a.formatId, a.ext, a.acodec, a.abr]),
+    [
+      ["251", "webm", "opus", 140],
+      ["140", "m4a", "mp4a", 130],
+    ]
+  );
+  assert.equal(audio[1].label, "m4a 130kbps Audio-only");
+});
+
+test("video formats are ordered by quality, fps, then codec", () => {
+  const formats = buildAvailableFormats(fixture);
+  assert.deepEqual(
+    formats.map((f) => f.formatId),
+    ["337", "137", "248", "hls-720", "18"]
+  );
+  assert.deepEqual(
+    formats.map((f) => f.label),
+    [
+      "webm 2160p60 VP9 HDR10 Video-only",
+      "mp4 1080p H264 Video-only",
+      "webm 1080p VP9 Video-only",
+      "mp4 720p H264 A+V",
+      "mp4 360p H264 A+V",
+    ]
+  );
+});
+
+test("video-only formats merge with audio in their own container", () => {
+  const byId = Object.fromEntries(
+    buildAvailableFormats(fixture).map((f) => [f.formatId, f])
+  );
+
+  assert.equal(byId["137"].needsMerge, true);
+  assert.equal(byId["137"].container, "mp4");
+  assert.equal(byId["137"].acodec, "mp4a");
+  assert.equal(byId["137"].mergedFilesize, 60_000_000 + 1_900_000);
+
+  assert.equal(byId["248"].container, "webm");
+  assert.equal(byId["248"].acodec, "opus");
+  assert.equal(byId["248"].mergedFilesize, 45_000_000 + 2_000_000);
+
+  assert.equal(byId["18"].needsMerge, false);
+  assert.equal(byId["18"].mergedFilesize, 7_500_000);
+});
+
+test("without audio in the same container the merge becomes mkv", () => {
+  const [f] = buildAvailableFormats(rawWith(["137", "251"]));
+  assert.equal(f.container, "mkv");
+  assert.equal(f.acodec, "opus");
+});
+
+test("sizes fall back to filesize_approx, then to the bitrate", () => {
+  const byId = Object.fromEntries(
+    buildAvailableFormats(fixture).map((f) => [f.formatId, f])
+  );
+  assert.equal(byId["337"].filesize, 300_000_000);
+  assert.equal(byId["337"].filesizeApprox, true);
+  // 2500 kbps for 120 s
+  assert.equal(byId["hls-720"].filesize, 37_500_000);
+  assert.equal(byId["hls-720"].filesizeApprox, true);
+  assert.equal(byId["18"].filesizeApprox, false);
+});
+
+test("fps, HDR and HLS are reported per format", () => {
+  const [uhd, , , hls] = buildAvailableFormats(fixture);
+  assert.equal(uhd.fps, 60);
+  assert.equal(uhd.hdr, true);
+  assert.equal(uhd.dynamicRange, "HDR10");
+  assert.equal(uhd.hls, false);
+  assert.equal(hls.hls, true);
+  assert.equal(hls.hdr, false);
+});
+
+test("a direct format wins over HLS of the same quality", () => {
+  const hls360 = {
+    format_id: "hls-360",
+    ext: "mp4",
+    protocol: "m3u8_native",
+    url: "http://127.0.0.1:9/hls/360.m3u8",
+    width: 640,
+    height: 360,
+    fps: 30,
+    vcodec: "avc1.42001E",
+    acodec: "mp4a.40.2",
+    tbr: 900,
+  };
+  const formats = buildAvailableFormats(rawWith(["18"], [hls360]));
+  assert.deepEqual(
+    formats.map((f) => f.formatId),
+    ["18"]
+  );
+});
+
+test("formats without dimensions or formats at all give an empty list", () => {
+  assert.deepEqual(buildAvailableFormats({ formats: [] }), []);
+  assert.deepEqual(buildAvailableFormats({}), []);
+  assert.deepEqual(buildAvailableFormats(rawWith(["140", "251"])), []);
+});
+
+test("filters narrow the list", () => {
+  const formats = buildAvailableFormats(fixture);
+  const ids = (query) =>
+    filterFormats(formats, parseFormatFilters(query).filters).map(
+      (f) => f.formatId
+    );
+
+  assert.deepEqual(ids({}), ["337", "137", "248", "hls-720", "18"]);
+  assert.deepEqual(ids({ maxHeight: "720" }), ["hls-720", "18"]);
+  assert.deepEqual(ids({ maxFps: "30", codec: "vp9" }), ["248"]);
+  assert.deepEqual(ids({ container: "webm" }), ["337", "248"]);
+  assert.deepEqual(ids({ hdr: "true" }), ["337"]);
+  assert.deepEqual(ids({ compat: "ios" }), ["137", "hls-720", "18"]);
+  // explicit filters override the profile's fields
+  assert.deepEqual(ids({ compat: "web", hdr: "true" }), ["337"]);
+});
+
+test("invalid filters are reported with the allowed values", () => {
+  assert.deepEqual(parseFormatFilters({ codec: "xvid" }).error, {
+    error: "Unsupported codec",
+    allowed: ["h264", "h265", "vp9", "av1", "vp8"],
+  });
+  assert.equal(
+    parseFormatFilters({ maxHeight: "-1" }).error.error,
+    "Invalid 'maxHeight' parameter"
+  );
+  assert.deepEqual(parseFormatFilters({ compat: "tv" }).error.allowed, [
+    "android",
+    "ios",
+    "web",
+  ]);
+});
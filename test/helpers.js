@@ -0,0 +1,95 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+// ---------------------------
+// TEST ENVIRONMENT
+// ---------------------------
+// CONFIG reads the environment once, when index.js is first required, so
+// this module must be required before it. yt-dlp and ffmpeg are the stubs
+// in fixtures/bin; every file the app writes goes to a temp dir, its
+// os.tmpdir() included, so test files running side by side never sweep each
+// other's temp files.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "imvid-test-"));
+const stubLog = path.join(tmpDir, "stub-calls.log");
+fs.mkdirSync(path.join(tmpDir, "tmp"));
+
+Object.assign(process.env, {
+  YTDLP_PATH: path.join(__dirname, "fixtures/bin/yt-dlp"),
+  FFMPEG_PATH: path.join(__dirname, "fixtures/bin/ffmpeg"),
+  STUB_LOG: stubLog,
+  TMPDIR: path.join(tmpDir, "tmp"),
+  MEDIA_CACHE_DIR: path.join(tmpDir, "media-cache"),
+  COOKIES_DIR: path.join(tmpDir, "cookies"),
+  API_KEYS_FILE: path.join(tmpDir, "api-keys.json"),
+  // a test file that needs API keys sets TEST_API_KEYS before requiring this
+  API_KEYS: process.env.TEST_API_KEYS || "",
+  PLATFORMS_FILE: path.join(tmpDir, "platforms.json"),
+  GENERIC_EXTRACTOR: "true",
+  ALLOW_PRIVATE_URLS: "true",
+  CACHE_BACKEND: "memory",
+  // one client makes every request of a test file
+  RATE_LIMIT_RPM: "10000",
+  RATE_LIMIT_PREVIEW_RPM: "10000",
+  RATE_LIMIT_DOWNLOAD_RPM: "10000",
+});
+
+const server = require("../index");
+const { STUB_MEDIA_BYTES, stubMedia } = require("./fixtures/media");
+
+// Listens on a free port; close() also drops keep-alive connections
+async function startServer() {
+  server.prepare();
+  const http = server.app.listen(0, "127.0.0.1");
+  await once(http, "listening");
+  return {
+    baseUrl: `http://127.0.0.1:${http.address().port}`,
+    http,
+    close() {
+      http.closeAllConnections();
+      return new Promise((resolve) => http.close(resolve));
+    },
+  };
+}
+
+// The stubs never touch the network; the path picks their behaviour (see
+// fixtures/bin/yt-dlp) and the last segment becomes the video id
+function videoUrl(name) {
+  return `http://127.0.0.1:9/watch/${name}`;
+}
+
+// Stub invocations so far: [{ tool, args }], optionally of one tool
+function stubCalls(tool) {
+  if (!fs.existsSync(stubLog)) return [];
+  return fs
+    .readFileSync(stubLog, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((call) => !tool || call.tool === tool);
+}
+
+function extractCalls(url) {
+  return stubCalls("yt-dlp").filter(
+    (call) => call.args[0] === url && call.args.includes("-J")
+  );
+}
+
+function removeTmpDir() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  ...server,
+  tmpDir,
+  STUB_MEDIA_BYTES,
+  stubMedia,
+  startServer,
+  videoUrl,
+  stubCalls,
+  extractCalls,
+  removeTmpDir,
+};
@@ -0,0 +1,134 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseRange,
+  fileValidators,
+  isNotModified,
+  ifRangeMatches,
+} = require("../lib/http-range");
+
+const SIZE = 1000;
+
+test("single, open-ended and suffix ranges", () => {
+  assert.deepEqual(parseRange("bytes=0-99", SIZE), {
+    ranges: [{ start: 0, end: 99 }],
+  });
+  assert.deepEqual(parseRange("bytes=900-", SIZE), {
+    ranges: [{ start: 900, end: 999 }],
+  });
+  assert.deepEqual(parseRange("bytes=-100", SIZE), {
+    ranges: [{ start: 900, end: 999 }],
+  });
+  assert.deepEqual(parseRange("BYTES= 5-5 ", SIZE), {
+    ranges: [{ start: 5, end: 5 }],
+  });
+});
+
+test("ends and suffixes larger than the file are clamped", () => {
+  assert.deepEqual(parseRange("bytes=500-5000", SIZE), {
+    ranges: [{ start: 500, end: 999 }],
+  });
+  assert.deepEqual(parseRange("bytes=-5000", SIZE), {
+    ranges: [{ start: 0, end: 999 }],
+  });
+});
+
+test("ranges are sorted and overlapping or adjacent ones merged", () => {
+  assert.deepEqual(parseRange("bytes=500-599,0-9,5-19,20-29", SIZE), {
+    ranges: [
+      { start: 0, end: 29 },
+      { start: 500, end: 599 },
+    ],
+  });
+});
+
+test("unsatisfiable specs are dropped, 416 when none is left", () => {
+  assert.deepEqual(parseRange("bytes=1000-", SIZE), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=-0", SIZE), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=0-9", 0), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=2000-2999,0-9", SIZE), {
+    ranges: [{ start: 0, end: 9 }],
+  });
+});
+
+test("invalid headers are ignored as a whole", () => {
+  for (const header of [
+    undefined,
+    "",
+    "bytes=",
+    "bytes=500-100",
+    "bytes=0-9,500-100",
+    "bytes=abc-def",
+    "bytes=-",
+    "bytes=1.5-2",
+    "items=0-9",
+  ]) {
+    assert.equal(parseRange(header, SIZE), null, String(header));
+  }
+});
+
+test("more pieces than maxRanges are ignored", () => {
+  const header = `bytes=${[0, 10, 20, 30].map((n) => `${n}-${n + 1}`)}`;
+  assert.equal(parseRange(header, SIZE, { maxRanges: 3 }), null);
+  assert.equal(parseRange(header, SIZE, { maxRanges: 4 }).ranges.length, 4);
+});
+
+const stat = {
+  size: 8192,
+  mtimeMs: 1700000000123.456,
+  mtime: new Date(1700000000123),
+};
+const validators = fileValidators(stat);
+
+test("validators come from size and mtime", () => {
+  assert.deepEqual(validators, {
+    etag: `"2000-18bcfe5687b"`,
+    lastModified: "Tue, 14 Nov 2023 22:13:20 GMT",
+  });
+});
+
+test("If-None-Match compares weakly and wins over If-Modified-Since", () => {
+  const { etag, lastModified } = validators;
+  assert.equal(isNotModified({}, validators), false);
+  assert.equal(isNotModified({ "if-none-match": etag }, validators), true);
+  assert.equal(
+    isNotModified({ "if-none-match": `W/${etag}` }, validators),
+    true
+  );
+  assert.equal(isNotModified({ "if-none-match": "*" }, validators), true);
+  assert.equal(
+    isNotModified({ "if-none-match": `"a", ${etag}` }, validators),
+    true
+  );
+  assert.equal(
+    isNotModified(
+      { "if-none-match": '"other"', "if-modified-since": lastModified },
+      validators
+    ),
+    false
+  );
+});
+
+test("If-Modified-Since compares whole seconds", () => {
+  const check = (date) =>
+    isNotModified({ "if-modified-since": date }, validators);
+  assert.equal(check(validators.lastModified), true);
+  assert.equal(check("Wed, 15 Nov 2023 00:00:00 GMT"), true);
+  assert.equal(check("Tue, 14 Nov 2023 22:13:19 GMT"), false);
+  assert.equal(check("not a date"), false);
+});
+
+test("If-Range needs a strong tag match or the exact date", () => {
+  const { etag, lastModified } = validators;
+  assert.equal(ifRangeMatches(undefined, validators), true);
+  assert.equal(ifRangeMatches(etag, validators), true);
+  assert.equal(ifRangeMatches(`W/${etag}`, validators), false);
+  assert.equal(ifRangeMatches('"other"', validators), false);
+  assert.equal(ifRangeMatches(lastModified, validators), true);
+  assert.equal(
+    ifRangeMatches("Wed, 15 Nov 2023 00:00:00 GMT", validators),
+    false
+  );
+});
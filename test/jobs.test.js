@@ -0,0 +1,116 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CONFIG,
+  STUB_MEDIA_BYTES,
+  stubMedia,
+  startServer,
+  videoUrl,
+  removeTmpDir,
+} = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(async () => {
+  await server.close();
+  removeTmpDir();
+});
+
+async function api(pathname, init) {
+  const res = await fetch(`${server.baseUrl}${pathname}`, init);
+  return { res, body: await res.json() };
+}
+
+async function finishedJob(url) {
+  const { res, body } = await api("/api/jobs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url }),
+  });
+  assert.equal(res.status, 202);
+
+  for (let i = 0; i < 50; i++) {
+    const { body: job } = await api(body.statusUrl);
+    if (job.status === "completed" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`job ${body.id} did not finish`);
+}
+
+test("a finished job file is served with ranges and validators", async () => {
+  const job = await finishedJob(videoUrl("job1"));
+  assert.equal(job.status, "completed");
+  assert.equal(job.filesize, STUB_MEDIA_BYTES);
+
+  const res = await fetch(`${server.baseUrl}${job.fileUrl}`, {
+    headers: { Range: "bytes=-100" },
+  });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get("content-type"), "video/mp4");
+  assert.match(res.headers.get("content-disposition"), /Stub Video\.mp4/);
+  assert.ok(res.headers.get("etag"));
+  assert.deepEqual(
+    Buffer.from(await res.arrayBuffer()),
+    stubMedia().subarray(STUB_MEDIA_BYTES - 100)
+  );
+});
+
+test("a job whose file is gone answers 410", async () => {
+  const job = await finishedJob(videoUrl("job2"));
+  const dir = CONFIG.mediaCache.dir;
+  for (const name of fs.readdirSync(dir)) {
+    if (name.endsWith(".mp4")) fs.rmSync(path.join(dir, name));
+  }
+
+  const { res, body } = await api(job.fileUrl);
+  assert.equal(res.status, 410);
+  assert.equal(body.error, "Job file expired");
+  assert.equal(res.headers.get("content-disposition"), null);
+});
+
+test("download jobs and streamed downloads stop at their deadline", async () => {
+  const timeoutMs = CONFIG.download.timeoutMs;
+  CONFIG.download.timeoutMs = 300;
+  try {
+    // the stub's media runs under /stuck/ never finish
+    const job = await finishedJob(videoUrl("stuck/job3"));
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "UPSTREAM_TIMEOUT");
+
+    const { body: info } = await api(
+      `/api/video/info?url=${encodeURIComponent(videoUrl("stuck/dl1"))}`
+    );
+    const { res, body } = await api(`/api/video/download?vid=${info.videoId}`);
+    assert.equal(res.status, 504);
+    assert.equal(body.code, "UPSTREAM_TIMEOUT");
+    assert.equal(res.headers.get("content-disposition"), null);
+  } finally {
+    CONFIG.download.timeoutMs = timeoutMs;
+  }
+});
+
+test("unknown video ids ask for the info again", async () => {
+  for (const pathname of [
+    "/api/video/download?vid=never-extracted",
+    "/api/video/subtitles?vid=never-extracted&lang=en",
+    "/api/video/hls?vid=never-extracted",
+  ]) {
+    const { res, body } = await api(pathname);
+    assert.equal(res.status, 404);
+    assert.equal(body.code, "VIDEO_ID_EXPIRED");
+  }
+
+  const { res, body } = await api("/api/jobs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ vid: "never-extracted" }),
+  });
+  assert.equal(res.status, 404);
+  assert.equal(body.code, "VIDEO_ID_EXPIRED");
+});
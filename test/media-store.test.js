@@ -0,0 +1,58 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { createMediaStore } = require("../lib/media-store");
+
+let dir;
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "imvid-media-"));
+});
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createStore() {
+  const store = createMediaStore({ dir, maxBytes: 4096, maxEntryBytes: 1024 });
+  store.load();
+  return store;
+}
+
+const incomingFiles = () => fs.readdirSync(path.join(dir, ".incoming"));
+
+test("a streamed file is stored once committed", async () => {
+  const store = createStore();
+  const writer = store.writer("download:v1", { ext: "mp4" });
+  writer.stream.end(Buffer.alloc(1000, 1));
+
+  const entry = await writer.commit();
+  assert.equal(entry.size, 1000);
+  assert.deepEqual(fs.readFileSync(entry.path), Buffer.alloc(1000, 1));
+  assert.deepEqual(incomingFiles(), []);
+});
+
+test("a streamed file past maxEntryBytes is dropped while it streams", async () => {
+  const store = createStore();
+  const writer = store.writer("download:v2", { ext: "mp4" });
+  writer.stream.write(Buffer.alloc(800));
+
+  writer.stream.write(Buffer.alloc(800));
+  await once(writer.stream, "close");
+  for (let i = 0; i < 50 && incomingFiles().length; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(incomingFiles(), []);
+  assert.equal(await writer.commit(), null);
+  assert.equal(store.get("download:v2"), null);
+});
+
+test("sizes past maxEntryBytes are not accepted", () => {
+  const store = createStore();
+  assert.equal(store.accepts(1024), true);
+  assert.equal(store.accepts(1025), false);
+  assert.equal(store.accepts(0), true);
+});
@@ -0,0 +1,423 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STUB_MEDIA_BYTES,
+  stubMedia,
+  startServer,
+  videoUrl,
+  stubCalls,
+  removeTmpDir,
+} = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(async () => {
+  await server.close();
+  removeTmpDir();
+});
+
+async function extract(name) {
+  const res = await fetch(
+    `${server.baseUrl}/api/video/info?url=${encodeURIComponent(videoUrl(name))}`
+  );
+  assert.equal(res.status, 200);
+  return (await res.json()).videoId;
+}
+
+function getPreview(vid, headers = {}) {
+  return fetch(`${server.baseUrl}/api/video/preview?vid=${vid}`, { headers });
+}
+
+function previewEncodes(vid) {
+  return stubCalls("ffmpeg").filter((call) =>
+    call.args.at(-1).includes(`preview_${vid}_`)
+  );
+}
+
+test("previews are generated once and then served from the store", async () => {
+  // info starts a background warm-up; the requests join it or hit the store
+  const vid = await extract("preview1");
+  const responses = await Promise.all([getPreview(vid), getPreview(vid)]);
+  const again = await getPreview(vid);
+
+  for (const res of [...responses, again]) {
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "video/mp4");
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.equal(res.headers.get("content-length"), String(STUB_MEDIA_BYTES));
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), stubMedia());
+  }
+  assert.equal(previewEncodes(vid).length, 1);
+});
+
+test("previews of unknown videos ask for the info again", async () => {
+  const res = await getPreview("never-extracted");
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).code, "VIDEO_ID_EXPIRED");
+});
+
+test("byte ranges are served as 206 partial content", async () => {
+  const vid = await extract("range1");
+  const media = stubMedia();
+
+  const head = await getPreview(vid, { Range: "bytes=0-99" });
+  assert.equal(head.status, 206);
+  assert.equal(
+    head.headers.get("content-range"),
+    `bytes 0-99/${STUB_MEDIA_BYTES}`
+  );
+  assert.equal(head.headers.get("content-length"), "100");
+  assert.deepEqual(
+    Buffer.from(await head.arrayBuffer()),
+    media.subarray(0, 100)
+  );
+
+  const middle = await getPreview(vid, { Range: "bytes=1000-1999" });
+  assert.equal(middle.status, 206);
+  assert.deepEqual(
+    Buffer.from(await middle.arrayBuffer()),
+    media.subarray(1000, 2000)
+  );
+
+  const tail = await getPreview(vid, { Range: "bytes=8000-" });
+  assert.equal(tail.status, 206);
+  assert.equal(
+    tail.headers.get("content-range"),
+    `bytes 8000-${STUB_MEDIA_BYTES - 1}/${STUB_MEDIA_BYTES}`
+  );
+  assert.deepEqual(Buffer.from(await tail.arrayBuffer()), media.subarray(8000));
+});
+
+test("suffix ranges and ends past the file are clamped", async () => {
+  const vid = await extract("range2");
+  const media = stubMedia();
+
+  const suffix = await getPreview(vid, { Range: "bytes=-500" });
+  assert.equal(suffix.status, 206);
+  assert.equal(
+    suffix.headers.get("content-range"),
+    `bytes 7692-8191/${STUB_MEDIA_BYTES}`
+  );
+  assert.deepEqual(
+    Buffer.from(await suffix.arrayBuffer()),
+    media.subarray(7692)
+  );
+
+  const past = await getPreview(vid, { Range: "bytes=8000-99999" });
+  assert.equal(past.status, 206);
+  assert.equal(
+    past.headers.get("content-range"),
+    `bytes 8000-8191/${STUB_MEDIA_BYTES}`
+  );
+  assert.equal((await past.arrayBuffer()).byteLength, 192);
+});
+
+test("unsatisfiable ranges are 416 with the file size", async () => {
+  const vid = await extract("range3");
+  for (const range of ["bytes=8192-", "bytes=9000-9999", "bytes=-0"]) {
+    const res = await getPreview(vid, { Range: range });
+    assert.equal(res.status, 416, range);
+    assert.equal(
+      res.headers.get("content-range"),
+      `bytes */${STUB_MEDIA_BYTES}`
+    );
+    await res.arrayBuffer();
+  }
+});
+
+test("invalid range headers are ignored", async () => {
+  const vid = await extract("range4");
+  for (const range of ["bytes=500-100", "bytes=abc-def", "items=0-9"]) {
+    const res = await getPreview(vid, { Range: range });
+    assert.equal(res.status, 200, range);
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), stubMedia());
+  }
+});
+
+test("several ranges come back as multipart/byteranges", async () => {
+  const vid = await extract("range5");
+  const media = stubMedia();
+
+  const res = await getPreview(vid, { Range: "bytes=100-109,0-9" });
+  assert.equal(res.status, 206);
+  const boundary = /^multipart\/byteranges; boundary=(\S+)$/.exec(
+    res.headers.get("content-type")
+  )?.[1];
+  assert.ok(boundary);
+
+  const body = Buffer.from(await res.arrayBuffer());
+  assert.equal(res.headers.get("content-length"), String(body.length));
+  const expected = Buffer.concat([
+    Buffer.from(
+      `\r\n--${boundary}\r\nContent-Type: video/mp4\r\n` +
+        `Content-Range: bytes 0-9/${STUB_MEDIA_BYTES}\r\n\r\n`
+    ),
+    media.subarray(0, 10),
+    Buffer.from(
+      `\r\n--${boundary}\r\nContent-Type: video/mp4\r\n` +
+        `Content-Range: bytes 100-109/${STUB_MEDIA_BYTES}\r\n\r\n`
+    ),
+    media.subarray(100, 110),
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  assert.deepEqual(body, expected);
+
+  // overlapping ranges are merged into one
+  const merged = await getPreview(vid, { Range: "bytes=0-9,5-19" });
+  assert.equal(merged.status, 206);
+  assert.equal(
+    merged.headers.get("content-range"),
+    `bytes 0-19/${STUB_MEDIA_BYTES}`
+  );
+  await merged.arrayBuffer();
+});
+
+test("validators are stable and answer conditional requests", async () => {
+  const vid = await extract("cond1");
+  const first = await getPreview(vid);
+  await first.arrayBuffer();
+  const etag = first.headers.get("etag");
+  const lastModified = first.headers.get("last-modified");
+  assert.match(etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+  assert.ok(lastModified);
+
+  // reading a stored file does not change its validators
+  const second = await getPreview(vid);
+  await second.arrayBuffer();
+  assert.equal(second.headers.get("etag"), etag);
+  assert.equal(second.headers.get("last-modified"), lastModified);
+
+  for (const headers of [
+    { "If-None-Match": etag },
+    { "If-None-Match": `"other", W/${etag}` },
+    { "If-Modified-Since": lastModified },
+  ]) {
+    const res = await getPreview(vid, headers);
+    assert.equal(res.status, 304, JSON.stringify(headers));
+    assert.equal(res.headers.get("etag"), etag);
+    assert.equal((await res.arrayBuffer()).byteLength, 0);
+  }
+
+  const changed = await getPreview(vid, { "If-None-Match": '"other"' });
+  assert.equal(changed.status, 200);
+  await changed.arrayBuffer();
+});
+
+test("If-Range only applies the range to an unchanged file", async () => {
+  const vid = await extract("cond2");
+  const first = await getPreview(vid);
+  await first.arrayBuffer();
+  const etag = first.headers.get("etag");
+  const lastModified = first.headers.get("last-modified");
+  const ranged = (ifRange) =>
+    getPreview(vid, { Range: "bytes=0-99", "If-Range": ifRange });
+
+  for (const [ifRange, status] of [
+    [etag, 206],
+    [lastModified, 206],
+    ['"stale"', 200],
+    [`W/${etag}`, 200],
+    ["Thu, 01 Jan 1970 00:00:00 GMT", 200],
+  ]) {
+    const res = await ranged(ifRange);
+    assert.equal(res.status, status, ifRange);
+    const length = (await res.arrayBuffer()).byteLength;
+    assert.equal(length, status === 206 ? 100 : STUB_MEDIA_BYTES);
+  }
+});
+
+test("HEAD answers with the headers of GET and no body", async () => {
+  const vid = await extract("head1");
+
+  const whole = await fetch(`${server.baseUrl}/api/video/preview?vid=${vid}`, {
+    method: "HEAD",
+  });
+  assert.equal(whole.status, 200);
+  assert.equal(whole.headers.get("content-length"), String(STUB_MEDIA_BYTES));
+  assert.equal(whole.headers.get("accept-ranges"), "bytes");
+  assert.ok(whole.headers.get("etag"));
+  assert.equal((await whole.arrayBuffer()).byteLength, 0);
+
+  const part = await fetch(`${server.baseUrl}/api/video/preview?vid=${vid}`, {
+    method: "HEAD",
+    headers: { Range: "bytes=10-19" },
+  });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get("content-length"), "10");
+  assert.equal(
+    part.headers.get("content-range"),
+    `bytes 10-19/${STUB_MEDIA_BYTES}`
+  );
+});
+
+test("HEAD of a download that is not stored does not start it", async () => {
+  const vid = await extract("head2");
+  const res = await fetch(`${server.baseUrl}/api/video/download?vid=${vid}`, {
+    method: "HEAD",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "video/mp4");
+  assert.equal(res.headers.get("accept-ranges"), "none");
+  assert.match(res.headers.get("content-disposition"), /^attachment;/);
+  // of the yt-dlp runs for this video, the streamed download is the one
+  // with --no-progress (the preview warm-up has none)
+  const downloads = stubCalls("yt-dlp").filter(
+    (call) =>
+      call.args[0] === videoUrl("head2") && call.args.includes("--no-progress")
+  );
+  assert.equal(downloads.length, 0);
+});
+
+// value of an ffmpeg or yt-dlp option, null when it was not passed
+function optionOf(call, name) {
+  const i = call.args.indexOf(name);
+  return i === -1 ? null : call.args[i + 1];
+}
+
+// yt-dlp runs that piped media for a preview (the fallback path)
+function previewPipes(name) {
+  return stubCalls("yt-dlp").filter(
+    (call) => call.args[0] === videoUrl(name) && optionOf(call, "-o") === "-"
+  );
+}
+
+test("profiles pick the format, length and start of a preview", async () => {
+  const vid = await extract("profile1");
+  const res = await fetch(
+    `${server.baseUrl}/api/video/preview?vid=${vid}&profile=animated`
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/webp");
+  await res.arrayBuffer();
+
+  const encode = previewEncodes(vid).find((call) =>
+    call.args.at(-1).endsWith(".webp")
+  );
+  assert.ok(encode.args.includes("libwebp"));
+  assert.equal(optionOf(encode, "-t"), "3");
+  // the middle 3 seconds of the 120 s fixture
+  assert.equal(optionOf(encode, "-ss"), "58");
+});
+
+test("parameters override the profile and go into the cache key", async () => {
+  const vid = await extract("profile2");
+  const url = `${server.baseUrl}/api/video/preview?vid=${vid}`;
+
+  const sound = await fetch(`${url}&start=30&duration=6&audio=1`);
+  assert.equal(sound.status, 200);
+  assert.equal(sound.headers.get("content-type"), "video/mp4");
+  await sound.arrayBuffer();
+  const encode = previewEncodes(vid).find((call) => call.args.includes("aac"));
+  assert.equal(optionOf(encode, "-ss"), "30");
+  assert.equal(optionOf(encode, "-t"), "6");
+
+  // same options: served from the store; other options: a new encode
+  const before = previewEncodes(vid).length;
+  await (await fetch(`${url}&start=30&duration=6&audio=1`)).arrayBuffer();
+  assert.equal(previewEncodes(vid).length, before);
+  await (await fetch(`${url}&start=30&duration=6&audio=0`)).arrayBuffer();
+  assert.equal(previewEncodes(vid).length, before + 1);
+});
+
+test("starts past the end are pulled back to a full preview", async () => {
+  const vid = await extract("profile3");
+  const res = await fetch(
+    `${server.baseUrl}/api/video/preview?vid=${vid}&start=1:00:00&format=webm`
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "video/webm");
+  await res.arrayBuffer();
+  const encode = previewEncodes(vid).find((call) =>
+    call.args.at(-1).endsWith(".webm")
+  );
+  assert.equal(optionOf(encode, "-ss"), "116");
+});
+
+test("the default preview starts at 0 without seeking", async () => {
+  const vid = await extract("profile4");
+  await (await getPreview(vid)).arrayBuffer();
+  const [encode] = previewEncodes(vid);
+  assert.equal(optionOf(encode, "-ss"), null);
+});
+
+test("previews read the extracted direct URL with its headers", async () => {
+  const vid = await extract("direct1");
+  await (await getPreview(vid)).arrayBuffer();
+
+  const [encode] = previewEncodes(vid);
+  assert.equal(optionOf(encode, "-i"), "http://127.0.0.1:9/media/18.mp4");
+  const headers = optionOf(encode, "-headers");
+  assert.match(headers, /^User-Agent: stub-agent\r$/m);
+  // only the fixture cookie whose domain matches the media host
+  assert.match(headers, /^Cookie: SID=stub\r$/m);
+  assert.equal(previewPipes("direct1").length, 0);
+
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  assert.match(
+    metrics,
+    /imvid_preview_duration_seconds_count\{platform="[^"]+",source="direct",outcome="success"\} [1-9]/
+  );
+});
+
+test("previews fall back to the yt-dlp pipe when the direct URL fails", async () => {
+  // the stub ffmpeg answers 403 for the /expired/ format URLs
+  const vid = await extract("expired/fallback1");
+  const res = await fetch(
+    `${server.baseUrl}/api/video/preview?vid=${vid}&start=30`
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), stubMedia());
+
+  // the info warm-up made a default preview the same way
+  const direct = previewEncodes(vid).filter(
+    (call) => optionOf(call, "-ss") === "30"
+  );
+  assert.equal(direct.length, 1);
+  assert.equal(optionOf(direct[0], "-i"), "http://127.0.0.1:9/expired/18.mp4");
+  const sections = previewPipes("expired/fallback1").map((call) =>
+    optionOf(call, "--download-sections")
+  );
+  assert.ok(sections.includes("*30-34"));
+
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  assert.match(
+    metrics,
+    /imvid_ffmpeg_failures_total\{[^}]*kind="preview_direct"[^}]*\} [1-9]/
+  );
+});
+
+test("preview options are limited", async () => {
+  const cases = [
+    ["profile=huge", "Unknown preview profile"],
+    ["format=avi", "Unsupported format"],
+    ["start=abc", "Invalid 'start' (seconds, HH:MM:SS or 'smart')"],
+    ["duration=1.5", "Invalid 'duration' (whole seconds)"],
+    ["duration=60", "Preview too long (max 10s for mp4)"],
+    ["format=gif&duration=8", "Preview too long (max 5s for gif)"],
+    ["width=1080", "Unsupported width"],
+    ["format=webp&width=720", "Unsupported width"],
+    ["audio=yes", "Invalid 'audio' parameter"],
+    ["profile=animated&audio=1", "webp previews have no audio"],
+  ];
+  for (const [query, message] of cases) {
+    const res = await fetch(
+      `${server.baseUrl}/api/video/preview?vid=any&${query}`
+    );
+    assert.equal(res.status, 400, query);
+    const body = await res.json();
+    assert.equal(body.code, "INVALID_REQUEST", query);
+    assert.equal(body.message, message, query);
+  }
+
+  const res = await fetch(
+    `${server.baseUrl}/api/video/preview?vid=any&format=gif&width=640`
+  );
+  const body = await res.json();
+  assert.equal(body.error, "Invalid preview options");
+  assert.deepEqual(body.allowed, [240, 320, 360, 480]);
+});
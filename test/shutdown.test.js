@@ -0,0 +1,82 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  shutdown,
+  supervisor,
+  startServer,
+  videoUrl,
+  stubCalls,
+  removeTmpDir,
+} = require("./helpers");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(async () => {
+  await server.close();
+  removeTmpDir();
+});
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("timed out waiting");
+}
+
+// One test: shutdown() can only run once per process
+test("shutdown drains requests, stops children and removes its own temp files", async () => {
+  const info = await fetch(
+    `${server.baseUrl}/api/video/info?url=${encodeURIComponent(videoUrl("stuck/drain1"))}`
+  );
+  const { videoId } = await info.json();
+  // another instance's file in the shared temp dir
+  const foreign = path.join(os.tmpdir(), "preview_other_1.mp4");
+  fs.writeFileSync(foreign, "");
+
+  // a request that finishes within the drain window, and a download that
+  // never would (the stub's /stuck/ media runs hang)
+  const quick = fetch(
+    `${server.baseUrl}/api/video/info?url=${encodeURIComponent(videoUrl("slow/drain2"))}`
+  );
+  const stuck = fetch(`${server.baseUrl}/api/video/download?vid=${videoId}`)
+    .then((res) => res.status)
+    .catch(() => "connection closed");
+  await waitFor(() =>
+    stubCalls("yt-dlp").some(
+      (call) =>
+        call.args[0] === videoUrl("stuck/drain1") && call.args[2] === "-"
+    )
+  );
+
+  // a job that hangs with a .part file under its yt-dlp output prefix
+  const job = await fetch(`${server.baseUrl}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ vid: videoId }),
+  });
+  assert.equal(job.status, 202);
+  const { id: jobId } = await job.json();
+  const partFile = path.join(os.tmpdir(), `job_${jobId}.mp4.part`);
+  await waitFor(() => fs.existsSync(partFile));
+
+  const startedAt = Date.now();
+  await shutdown(server.http, { drainMs: 1000 });
+  assert.ok(Date.now() - startedAt < 5000);
+
+  assert.equal((await quick).status, 200);
+  assert.notEqual(await stuck, 200);
+  assert.equal(supervisor.size, 0);
+  assert.equal(fs.existsSync(partFile), false);
+  assert.equal(fs.existsSync(foreign), true);
+
+  // no new connections while shut down
+  await assert.rejects(fetch(`${server.baseUrl}/health`));
+});
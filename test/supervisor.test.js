@@ -0,0 +1,97 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { createProcessSupervisor } = require("../lib/supervisor");
+
+// A node child that prints "ready" and then runs until it is killed;
+// stubborn ones ignore SIGTERM
+function spawnSleeper(supervisor, run = {}, { stubborn = false } = {}) {
+  const script = `${stubborn ? 'process.on("SIGTERM", () => {});' : ""}
+    setInterval(() => {}, 60000);
+    process.stdout.write("ready");`;
+  return supervisor.spawn(
+    process.execPath,
+    ["-e", script],
+    { stdio: ["ignore", "pipe", "ignore"] },
+    run
+  );
+}
+
+async function ready(proc) {
+  await once(proc.stdout, "data");
+}
+
+test("children are listed by kind until they exit", async () => {
+  const supervisor = createProcessSupervisor();
+  const a = spawnSleeper(supervisor, { kind: "extract" });
+  const b = spawnSleeper(supervisor, { kind: "preview", timeoutMs: 60_000 });
+  await Promise.all([ready(a), ready(b)]);
+
+  assert.equal(supervisor.size, 2);
+  assert.deepEqual(supervisor.counts(), { extract: 1, preview: 1 });
+  const [first, second] = supervisor.list();
+  assert.equal(first.pid, a.pid);
+  assert.equal(first.kind, "extract");
+  assert.equal(first.timeoutMs, null);
+  assert.equal(second.timeoutMs, 60_000);
+
+  a.kill("SIGKILL");
+  await once(a, "close");
+  assert.deepEqual(supervisor.counts(), { preview: 1 });
+  b.kill("SIGKILL");
+  await once(b, "close");
+  assert.equal(supervisor.size, 0);
+});
+
+test("a child past its deadline is reported and killed", async () => {
+  const supervisor = createProcessSupervisor();
+  let timedOut = 0;
+  const proc = spawnSleeper(supervisor, {
+    kind: "download",
+    timeoutMs: 200,
+    onTimeout: () => timedOut++,
+  });
+
+  const [code, signal] = await once(proc, "close");
+  assert.equal(code, null);
+  assert.equal(signal, "SIGKILL");
+  assert.equal(timedOut, 1);
+  assert.equal(supervisor.size, 0);
+});
+
+test("a child that fails to spawn errors, closes and is forgotten", async () => {
+  const supervisor = createProcessSupervisor();
+  const proc = supervisor.spawn("/nonexistent/yt-dlp", [], {}, { kind: "x" });
+  const events = [];
+  proc.on("error", () => events.push("error"));
+  await new Promise((resolve) =>
+    proc.on("close", () => resolve(events.push("close")))
+  );
+
+  assert.deepEqual(events, ["error", "close"]);
+  assert.equal(supervisor.size, 0);
+  await supervisor.stopAll();
+});
+
+test("stopAll terminates children, kills stubborn ones and later spawns", async () => {
+  const supervisor = createProcessSupervisor({ killGraceMs: 300 });
+  const polite = spawnSleeper(supervisor, { kind: "job" });
+  const stubborn = spawnSleeper(
+    supervisor,
+    { kind: "job" },
+    { stubborn: true }
+  );
+  await Promise.all([ready(polite), ready(stubborn)]);
+
+  await supervisor.stopAll();
+  assert.equal(polite.signalCode, "SIGTERM");
+  assert.equal(stubborn.signalCode, "SIGKILL");
+  assert.equal(supervisor.size, 0);
+
+  // queued work that gets its slot during shutdown never runs
+  const late = spawnSleeper(supervisor, { kind: "job" });
+  const [, signal] = await once(late, "close");
+  assert.equal(signal, "SIGKILL");
+});
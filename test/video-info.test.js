@@ -0,0 +1,173 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CONFIG,
+  supervisor,
+  pickPreviewDirectUrl,
+  startServer,
+  videoUrl,
+  extractCalls,
+  removeTmpDir,
+} = require("./helpers");
+const fixture = require("./fixtures/video.json");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(async () => {
+  await server.close();
+  removeTmpDir();
+});
+
+async function getInfo(url, query = "") {
+  const res = await fetch(
+    `${server.baseUrl}/api/video/info?url=${encodeURIComponent(url)}${query}`
+  );
+  return { status: res.status, body: await res.json() };
+}
+
+test("info maps yt-dlp's JSON to a VideoInfo", async () => {
+  const url = videoUrl("info1");
+  const { status, body } = await getInfo(url);
+
+  assert.equal(status, 200);
+  assert.equal(body.videoId, "info1");
+  assert.equal(body.title, "Stub Video");
+  assert.equal(body.author, "Stub Channel");
+  assert.equal(body.platform, "generic");
+  assert.equal(body.duration, 120);
+  assert.equal(body.resolution, "1920x1080");
+  assert.equal(body.previewUrl, "/api/video/preview?vid=info1");
+  assert.equal(body.isLive, false);
+  assert.deepEqual(
+    body.availableFormats.map((f) => f.formatId),
+    ["337", "137", "248", "hls-720", "18"]
+  );
+  // internal helpers never leave the server
+  assert.equal(body._raw, undefined);
+  assert.equal(body._previewDirectUrl, undefined);
+});
+
+test("format filters apply to the response", async () => {
+  const { body } = await getInfo(videoUrl("info1"), "&maxHeight=720");
+  assert.deepEqual(
+    body.availableFormats.map((f) => f.formatId),
+    ["hls-720", "18"]
+  );
+
+  const bad = await getInfo(videoUrl("info1"), "&codec=xvid");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "Unsupported codec");
+});
+
+test("concurrent requests for one url run yt-dlp once", async () => {
+  const url = videoUrl("slow/dedupe1");
+  const results = await Promise.all([getInfo(url), getInfo(url), getInfo(url)]);
+
+  for (const { status, body } of results) {
+    assert.equal(status, 200);
+    assert.equal(body.videoId, "dedupe1");
+  }
+  assert.equal(extractCalls(url).length, 1);
+});
+
+test("cached info is reused until it expires", async (t) => {
+  const url = videoUrl("expiry1");
+  await getInfo(url);
+  await getInfo(url);
+  assert.equal(extractCalls(url).length, 1);
+
+  t.mock.timers.enable({
+    apis: ["Date"],
+    now: Date.now() + CONFIG.cacheTTLms + 1000,
+  });
+  const { status, body } = await getInfo(url);
+  t.mock.timers.reset();
+
+  assert.equal(status, 200);
+  assert.equal(body.videoId, "expiry1");
+  assert.equal(extractCalls(url).length, 2);
+});
+
+test("yt-dlp failures map to error codes", async () => {
+  const cases = [
+    ["private/p1", 403, "VIDEO_PRIVATE"],
+    ["missing/m1", 404, "VIDEO_NOT_FOUND"],
+    ["garbage/g1", 502, "UPSTREAM_ERROR"],
+  ];
+  for (const [name, status, code] of cases) {
+    const res = await getInfo(videoUrl(name));
+    assert.equal(res.status, status, name);
+    assert.equal(res.body.error, "Extraction failed");
+    assert.equal(res.body.code, code);
+    // stderr stays in the logs
+    assert.doesNotMatch(res.body.message, /ERROR:/);
+  }
+});
+
+test("an extraction past its deadline is gone before the slot is freed", async () => {
+  const timeoutMs = CONFIG.extractTimeoutMs;
+  CONFIG.extractTimeoutMs = 200;
+  process.env.STUB_SLOW_MS = "5000";
+  try {
+    const res = await getInfo(videoUrl("slow/timeout1"));
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, "UPSTREAM_TIMEOUT");
+
+    // the error waits for the killed child, which released its slot once
+    const extracts = supervisor.list().filter((p) => p.kind === "extract");
+    assert.deepEqual(extracts, []);
+    const health = await (await fetch(`${server.baseUrl}/health`)).json();
+    assert.equal(health.semYtDlp.running, 0);
+  } finally {
+    CONFIG.extractTimeoutMs = timeoutMs;
+    delete process.env.STUB_SLOW_MS;
+  }
+});
+
+test("failed extractions are not cached", async () => {
+  const url = videoUrl("private/p2");
+  await getInfo(url);
+  await getInfo(url);
+  assert.equal(extractCalls(url).length, 2);
+});
+
+test("bad requests are rejected before yt-dlp runs", async () => {
+  const missing = await fetch(`${server.baseUrl}/api/video/info`);
+  assert.equal(missing.status, 400);
+
+  const invalid = await getInfo("not a url");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, "Invalid URL format");
+});
+
+test("previews prefer a small mp4/h264 direct url", () => {
+  assert.equal(
+    pickPreviewDirectUrl(fixture),
+    "http://127.0.0.1:9/media/18.mp4"
+  );
+
+  const large = fixture.formats.filter((f) =>
+    ["137", "248", "140"].includes(f.format_id)
+  );
+  assert.equal(
+    pickPreviewDirectUrl({ formats: large }),
+    "http://127.0.0.1:9/media/137.mp4"
+  );
+});
+
+test("no preview url without a direct video format", () => {
+  const audioOnly = fixture.formats.filter((f) => f.vcodec === "none");
+  assert.equal(pickPreviewDirectUrl({ formats: audioOnly }), null);
+  assert.equal(pickPreviewDirectUrl({ formats: [] }), null);
+  assert.equal(pickPreviewDirectUrl({}), null);
+  assert.equal(
+    pickPreviewDirectUrl({
+      formats: [{ ...fixture.formats[2], url: "rtmp://127.0.0.1/live" }],
+    }),
+    null
+  );
+});
@@ -0,0 +1,205 @@
+"use strict";
+
+const http = require("http");
+const { once } = require("events");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  signPayload,
+  verifySignature,
+  createWebhookDispatcher,
+} = require("../lib/webhooks");
+
+const SECRET = "whsec_test";
+
+// A receiver that answers each request with the next of `statuses` (the
+// last one repeats) and records what it got
+async function startReceiver(statuses, { location } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    requests.push({
+      url: req.url,
+      headers: req.headers,
+      body: Buffer.concat(chunks).toString("utf8"),
+    });
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    if (location) res.setHeader("Location", location);
+    res.writeHead(status).end();
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Sends one delivery and resolves with it once it is delivered or failed
+function deliver(dispatcher, outcomes, url) {
+  const { id } = dispatcher.send({
+    clientId: "client-a",
+    url,
+    secret: SECRET,
+    event: "download.completed",
+    data: { id: "job-1", status: "completed" },
+  });
+  return new Promise((resolve) => {
+    outcomes.set(id, () => resolve(dispatcher.get(id)));
+  });
+}
+
+function createDispatcher(opts = {}) {
+  const outcomes = new Map();
+  const dispatcher = createWebhookDispatcher({
+    baseDelayMs: 20,
+    timeoutMs: 2_000,
+    onOutcome: (d, outcome) => {
+      if (outcome !== "retry") outcomes.get(d.id)?.();
+    },
+    ...opts,
+  });
+  return { dispatcher, outcomes };
+}
+
+test("signatures verify against the same body and secret only", () => {
+  const body = JSON.stringify({ id: "d1" });
+  const header = signPayload(SECRET, body);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+
+  assert.equal(verifySignature(SECRET, body, header), true);
+  assert.equal(verifySignature("other", body, header), false);
+  assert.equal(verifySignature(SECRET, `${body} `, header), false);
+  assert.equal(verifySignature(SECRET, body, "t=1,v1=abc"), false);
+  assert.equal(verifySignature(SECRET, body, ""), false);
+
+  // replays outside the tolerance window are refused
+  const old = signPayload(SECRET, body, Math.floor(Date.now() / 1000) - 600);
+  assert.equal(verifySignature(SECRET, body, old), false);
+  assert.equal(
+    verifySignature(SECRET, body, old, { toleranceSeconds: 900 }),
+    true
+  );
+});
+
+test("deliveries are signed and logged", async () => {
+  const receiver = await startReceiver([204]);
+  const { dispatcher, outcomes } = createDispatcher();
+  try {
+    const d = await deliver(dispatcher, outcomes, `${receiver.url}/hook`);
+    assert.equal(d.status, "delivered");
+    assert.equal(d.attempts.length, 1);
+    assert.equal(d.attempts[0].responseStatus, 204);
+    assert.equal(d.attempts[0].error, null);
+    assert.equal(d.nextAttemptAt, null);
+
+    const [req] = receiver.requests;
+    assert.equal(req.url, "/hook");
+    assert.equal(req.headers["x-imvid-event"], "download.completed");
+    assert.equal(req.headers["x-imvid-delivery"], d.id);
+    assert.equal(req.headers["x-imvid-attempt"], "1");
+    assert.ok(
+      verifySignature(SECRET, req.body, req.headers["x-imvid-signature"])
+    );
+    const payload = JSON.parse(req.body);
+    assert.equal(payload.id, d.id);
+    assert.deepEqual(payload.data, { id: "job-1", status: "completed" });
+
+    const [logged] = dispatcher.list({ clientId: "client-a" });
+    assert.equal(logged.id, d.id);
+    assert.equal(logged.status, "delivered");
+    assert.deepEqual(dispatcher.list({ clientId: "client-b" }), []);
+    assert.deepEqual(dispatcher.list({ status: "failed" }), []);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("5xx answers are retried with growing delays", async () => {
+  const receiver = await startReceiver([503, 500, 200]);
+  const { dispatcher, outcomes } = createDispatcher();
+  try {
+    const d = await deliver(dispatcher, outcomes, receiver.url);
+    assert.equal(d.status, "delivered");
+    assert.deepEqual(
+      d.attempts.map((a) => a.responseStatus),
+      [503, 500, 200]
+    );
+    assert.deepEqual(
+      receiver.requests.map((r) => r.headers["x-imvid-attempt"]),
+      ["1", "2", "3"]
+    );
+    // every retry carries the same body (receivers dedupe on its id)
+    assert.equal(new Set(receiver.requests.map((r) => r.body)).size, 1);
+
+    // baseDelayMs * 2^(n-1), +-20% jitter
+    const [first, second, third] = d.attempts;
+    assert.ok(second.at - first.at >= 16);
+    assert.ok(third.at - second.at >= 32);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("retries stop after maxAttempts", async () => {
+  const receiver = await startReceiver([502]);
+  const { dispatcher, outcomes } = createDispatcher({ maxAttempts: 3 });
+  try {
+    const d = await deliver(dispatcher, outcomes, receiver.url);
+    assert.equal(d.status, "failed");
+    assert.equal(d.attempts.length, 3);
+    assert.equal(receiver.requests.length, 3);
+    assert.equal(dispatcher.list({ status: "failed" })[0].id, d.id);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("4xx answers fail the delivery without a retry", async () => {
+  const receiver = await startReceiver([400, 200]);
+  const { dispatcher, outcomes } = createDispatcher();
+  try {
+    const d = await deliver(dispatcher, outcomes, receiver.url);
+    assert.equal(d.status, "failed");
+    assert.equal(d.attempts.length, 1);
+    assert.equal(d.attempts[0].responseStatus, 400);
+    assert.equal(receiver.requests.length, 1);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("redirects are not followed", async () => {
+  const target = await startReceiver([200]);
+  const receiver = await startReceiver([302], { location: target.url });
+  const { dispatcher, outcomes } = createDispatcher();
+  try {
+    const d = await deliver(dispatcher, outcomes, receiver.url);
+    assert.equal(d.status, "failed");
+    assert.equal(d.attempts[0].responseStatus, 302);
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(target.requests.length, 0);
+  } finally {
+    await receiver.close();
+    await target.close();
+  }
+});
+
+test("a URL the guard rejects fails before anything is sent", async () => {
+  const receiver = await startReceiver([200]);
+  const { dispatcher, outcomes } = createDispatcher({
+    checkUrl: async () => {
+      throw Object.assign(new Error("private"), { code: "PRIVATE_ADDRESS" });
+    },
+  });
+  try {
+    const d = await deliver(dispatcher, outcomes, receiver.url);
+    assert.equal(d.status, "failed");
+    assert.equal(d.attempts[0].error, "PRIVATE_ADDRESS");
+    assert.equal(receiver.requests.length, 0);
+  } finally {
+    await receiver.close();
+  }
+});